@@ -0,0 +1,1138 @@
+/*
+ * Pinak rules engine.
+ * Pure game logic shared by pinak-server and pinak-ui: no sockets, no timers,
+ * no randomness. The server picks the deck seed; buildDeck() turns it into the
+ * same deal everywhere, and everything after the deal goes through applyAction().
+ */
+
+/* ---------- CONSTANTS ---------- */
+
+export const SUITS = ["♠", "♥", "♦", "♣"];
+export const ORDER = ["3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
+export const INDEX = Object.fromEntries(ORDER.map((v, i) => [v, i]));
+export const WIN_SCORE = 151;
+
+export const HAND_SIZE = 9;
+
+/* ---------- HOUSE RULES ---------- */
+
+/**
+ * Per-room variant, chosen in the lobby and stored as g.rules.
+ * Rooms created before house rules existed have no g.rules and play these.
+ */
+export const DEFAULT_RULES = {
+  winScore: WIN_SCORE,
+  handSize: HAND_SIZE,
+  maxJokersPerRun: 1,
+  acePoints: 2,
+  jokerPoints: 2,
+  unopenedMultiplier: 2,     // hand penalty factor for players who never opened
+  noDiscardDrawnCard: true,  // can't throw back the single open card you just took
+  jokerSwap: false,          // the exact card a joker stands for may replace it in a run
+  dryDeck: "reshuffle"       // stalemate on an empty closed stack: "reshuffle" | "endRound"
+};
+
+const clampInt = (v, min, max, fallback) => {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+};
+
+// Fills gaps with defaults and clamps to what a 52-card, 4-seat table can deal.
+export function normalizeRules(input) {
+  const r = { ...DEFAULT_RULES, ...(input || {}) };
+  return {
+    winScore: clampInt(r.winScore, 25, 1000, WIN_SCORE),
+    handSize: clampInt(r.handSize, 3, 12, HAND_SIZE),
+    maxJokersPerRun: clampInt(r.maxJokersPerRun, 0, 4, 1),
+    acePoints: clampInt(r.acePoints, 0, 20, 2),
+    jokerPoints: clampInt(r.jokerPoints, 0, 20, 2),
+    unopenedMultiplier: clampInt(r.unopenedMultiplier, 1, 5, 2),
+    noDiscardDrawnCard: r.noDiscardDrawnCard !== false,
+    jokerSwap: r.jokerSwap === true,
+    dryDeck: r.dryDeck === "endRound" ? "endRound" : "reshuffle"
+  };
+}
+
+export const rulesFor = (g) => g?.rules || DEFAULT_RULES;
+
+export function cardPoints(value, rules = DEFAULT_RULES) {
+  if (value === "A") return rules.acePoints;
+  if (value === "2") return rules.jokerPoints;
+  return 1;
+}
+
+/* ---------- DECK (seeded Fisher-Yates) ---------- */
+
+const DECK_VALUES = ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"];
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+// xoshiro128** keyed by a hex seed (the server uses 32 random bytes)
+function seededRandom(seed) {
+  const hex = String(seed || "").replace(/[^0-9a-f]/gi, "");
+  const s = new Uint32Array(4);
+  for (let i = 0; i + 8 <= hex.length; i += 8) {
+    s[(i / 8) % 4] ^= parseInt(hex.slice(i, i + 8), 16);
+  }
+  if (!s[0] && !s[1] && !s[2] && !s[3]) s[0] = 1;
+
+  return () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result;
+  };
+}
+
+// uniform 0..n-1 (rejection sampling, no modulo bias)
+function randomInt(next, n) {
+  const limit = 2 ** 32 - (2 ** 32 % n);
+  let x;
+  do x = next();
+  while (x >= limit);
+  return x % n;
+}
+
+/**
+ * Full 52-card deck in the order the seed dictates. Card ids are derived from
+ * the card itself so anyone holding the seed can rebuild the exact deal:
+ * seat k is dealt deck[k*HAND_SIZE .. (k+1)*HAND_SIZE), the first open card is
+ * the last card of the deck.
+ */
+export function buildDeck(seed, rules = DEFAULT_RULES) {
+  const deck = [];
+  for (const s of SUITS) {
+    for (const v of DECK_VALUES) {
+      deck.push({
+        id: `${v}${s}`,
+        value: v,
+        suit: s,
+        points: cardPoints(v, rules)
+      });
+    }
+  }
+
+  return shuffleCards(deck, seed);
+}
+
+// Fisher-Yates in place, driven by the same seeded generator as buildDeck().
+export function shuffleCards(cards, seed) {
+  const next = seededRandom(seed);
+  for (let i = cards.length - 1; i > 0; i--) {
+    const j = randomInt(next, i + 1);
+    [cards[i], cards[j]] = [cards[j], cards[i]];
+  }
+  return cards;
+}
+
+/* ---------- TURN ORDER ---------- */
+
+export function nextTurnIndex(g, fromIndex) {
+  const n = g?.players?.length || 0;
+  if (!g || n <= 1) return 0;
+
+  // normal mode = simple rotation
+  if (!g.teamMode) return (fromIndex + 1) % n;
+
+  const currTeam = g.players[fromIndex]?.team;
+
+  // fallback safety
+  if (currTeam !== 0 && currTeam !== 1) {
+    return (fromIndex + 1) % n;
+  }
+
+  // pick next player from the OTHER team
+  for (let step = 1; step <= n; step++) {
+    const idx = (fromIndex + step) % n;
+    const t = g.players[idx]?.team;
+    if (t === 0 || t === 1 && t !== currTeam) {
+      return idx;
+    }
+  }
+
+  // worst-case fallback
+  return (fromIndex + 1) % n;
+}
+
+/* ---------- RUN VALIDATION ---------- */
+
+// Why `cards` is not a legal run (an ERROR_MESSAGES code), or null when it is.
+export function runError(cards, rules = DEFAULT_RULES) {
+  if (!Array.isArray(cards) || cards.length < 3) return "TOO_FEW_CARDS";
+
+  const real = cards.filter((c) => c && c.value !== "2");
+  const jokers = cards.length - real.length;
+
+  // ✅ joker limit per run (house rule, 1 by default)
+  if (jokers > rules.maxJokersPerRun) return "TOO_MANY_JOKERS";
+
+  // need at least 2 real cards
+  if (real.length < 2) return "NEEDS_TWO_REAL";
+
+  // same suit among real cards
+  const suit = real[0].suit;
+  if (!real.every((c) => c.suit === suit)) return "MIXED_SUITS";
+
+  const idx = real.map((c) => INDEX[c.value]).sort((a, b) => a - b);
+
+  // reject duplicates + count gaps
+  let gaps = 0;
+  for (let i = 1; i < idx.length; i++) {
+    const diff = idx[i] - idx[i - 1] - 1;
+    if (diff < 0) return "DUPLICATE_RANK";
+    gaps += diff;
+  }
+
+  return gaps <= jokers ? null : "NOT_CONSECUTIVE";
+}
+
+export function validRun(cards, rules = DEFAULT_RULES) {
+  return !runError(cards, rules);
+}
+
+/* ---------- RUN NORMALIZATION (joker placement) ---------- */
+
+// Gap jokers and spare jokers (beyond the gaps) in a run, with its real-card span.
+function runShape(cards) {
+  const realIdx = cards
+    .filter((c) => c.value !== "2")
+    .map((c) => INDEX[c.value])
+    .sort((a, b) => a - b);
+  if (!realIdx.length) return null;
+
+  const min = realIdx[0];
+  const max = realIdx[realIdx.length - 1];
+  const gaps = max - min + 1 - realIdx.length;
+  const spare = cards.length - realIdx.length - gaps;
+  return { min, max, spare };
+}
+
+/**
+ * Lays a valid run out low → high and stamps every joker with the rank it
+ * stands for (`rep`, e.g. "8"). Jokers fill gaps first; spare ones go on
+ * `end` ("high" | "low"), spilling to the other end past the ace or below
+ * the 3. Without `end` a spare joker stays on the side it already sat on
+ * (high for a fresh run).
+ */
+export function normalizeRun(cards, end) {
+  // assumes validRun(cards) is true
+  const shape = runShape(cards);
+  if (!shape) return cards;
+
+  const jokers = cards.filter((c) => c.value === "2");
+  const real = cards.filter((c) => c.value !== "2");
+  const suit = real[0].suit;
+  const realByIdx = new Map(real.map((c) => [INDEX[c.value], c]));
+
+  const side =
+    end === "low" || end === "high"
+      ? end
+      : jokers.some((j) => j.rep != null && INDEX[j.rep] < shape.min)
+      ? "low"
+      : "high";
+
+  let lo = shape.min;
+  let hi = shape.max;
+  for (let k = 0; k < shape.spare; k++) {
+    const roomHigh = hi < ORDER.length - 1;
+    const roomLow = lo > 0;
+    if (side === "high" ? roomHigh : !roomLow) {
+      if (roomHigh) hi++;
+    } else if (roomLow) {
+      lo--;
+    }
+  }
+
+  // jokers wear the run's suit; `ownSuit` remembers theirs for the trip back to a hand
+  const placed = (joker, rep) => ({ ...joker, ownSuit: ownSuit(joker), suit, rep });
+
+  const jokerPool = [...jokers];
+  const out = [];
+  for (let i = lo; i <= hi; i++) {
+    if (realByIdx.has(i)) out.push(realByIdx.get(i));
+    else out.push(placed(jokerPool.pop(), ORDER[i]));
+  }
+
+  // only a run spanning every rank has nowhere left to put a joker
+  while (jokerPool.length) out.push(placed(jokerPool.pop(), null));
+
+  return out;
+}
+
+/**
+ * When a spare joker could sit at either end of `cards`, the ranks it would
+ * stand for there ({ low, high }, e.g. { low: "7", high: "J" }); else null.
+ */
+export function jokerEndChoice(cards, rules = DEFAULT_RULES) {
+  if (!validRun(cards, rules)) return null;
+
+  const shape = runShape(cards);
+  if (!shape || shape.spare < 1) return null;
+  if (shape.min === 0 || shape.max === ORDER.length - 1) return null;
+  return { low: ORDER[shape.min - 1], high: ORDER[shape.max + 1] };
+}
+
+/**
+ * Rank index (into ORDER) the joker at `position` of a normalized run stands
+ * for, or null if that card isn't a joker. Runs saved before jokers carried
+ * `rep` fall back to counting from the first real card.
+ */
+export function jokerRank(run, position) {
+  const joker = run?.[position];
+  if (joker?.value !== "2") return null;
+  if (joker.rep != null) return INDEX[joker.rep] ?? null;
+
+  const first = run.findIndex((c) => c.value !== "2");
+  if (first < 0) return null;
+
+  const rank = INDEX[run[first].value] + (position - first);
+  if (rank < ORDER.length) return rank;
+
+  const below = INDEX[run[first].value] - (rank - (ORDER.length - 1));
+  return below >= 0 ? below : null;
+}
+
+/*
+ * A joker's own suit. Jokers laid before `ownSuit` was stored still carry it
+ * in a card-derived id ("2♥"); older uuid ids can't tell, so the run's suit stays.
+ */
+function ownSuit(joker) {
+  if (joker.ownSuit) return joker.ownSuit;
+  const fromId = String(joker.id ?? "").slice(joker.value.length);
+  return SUITS.includes(fromId) ? fromId : joker.suit;
+}
+
+// A card leaving a run: jokers drop their stand-in rank and get their own suit back.
+export function cardFromRun(c) {
+  if (c.value !== "2") return c;
+  const { rep, ownSuit: _own, ...card } = c;
+  return { ...card, suit: ownSuit(c) };
+}
+
+/* ---------- HOUSE RULE HELPERS ---------- */
+
+// Pure run = 3+ consecutive cards of same suit with NO jokers ("2")
+export function hasPureRun(hand) {
+  if (!Array.isArray(hand) || hand.length < 3) return false;
+
+  // group by suit, ignore jokers (value === "2")
+  const bySuit = {};
+  for (const c of hand) {
+    if (!c || c.value === "2") continue;
+    (bySuit[c.suit] ||= []).push(INDEX[c.value]);
+  }
+
+  // check any suit has 3+ consecutive
+  for (const suit of Object.keys(bySuit)) {
+    const arr = bySuit[suit].sort((a, b) => a - b);
+    let streak = 1;
+    for (let i = 1; i < arr.length; i++) {
+      if (arr[i] === arr[i - 1] + 1) streak++;
+      else if (arr[i] !== arr[i - 1]) streak = 1;
+
+      if (streak >= 3) return true;
+    }
+  }
+  return false;
+}
+
+// Which players' runs may `me` add to? (own runs, or the whole team's in team mode)
+export function allowedRunOwners(g, me) {
+  return g.teamMode ? g.players.filter((p) => p.team === me.team) : [me];
+}
+
+// Can current player legally add something to ANY run they are allowed to add to?
+export function canAddToAnyRun(g, me) {
+  if (!g || !me) return false;
+  if (!me.opened) return false; // must have opened before adding
+  if (!Array.isArray(me.hand) || me.hand.length === 0) return false;
+
+  // Try to find ANY legal add:
+  // - any single real card
+  // - joker+real pair while the run is under the joker limit
+  // (a joker is never added on its own)
+  const hand = me.hand;
+  const rules = rulesFor(g);
+
+  for (const owner of allowedRunOwners(g, me)) {
+    const sets = owner.openedSets || [];
+    for (let runIndex = 0; runIndex < sets.length; runIndex++) {
+      const original = sets[runIndex];
+      if (!Array.isArray(original) || original.length < 3) continue;
+
+      const runJokers = original.filter((c) => c.value === "2").length;
+
+      // 1) single-card adds
+      for (const card of hand) {
+        if (!card || card.value === "2") continue;
+
+        const combined = [...original, card];
+        if (validRun(combined, rules)) return true;
+      }
+
+      // 2) joker+real pair add (only while the run can take another joker)
+      if (runJokers < rules.maxJokersPerRun) {
+        const jokers = hand.filter((c) => c.value === "2");
+        const reals = hand.filter((c) => c.value !== "2");
+
+        if (jokers.length && reals.length) {
+          for (const j of jokers) {
+            for (const r of reals) {
+              const combined = [...original, j, r];
+              if (validRun(combined, rules)) return true;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return false;
+}
+
+export function canAddAnyCardToAllowedRuns(g, me) {
+  if (!g || !me || !me.opened) return false;
+  if (!Array.isArray(me.hand) || me.hand.length === 0) return false;
+
+  const rules = rulesFor(g);
+
+  for (const owner of allowedRunOwners(g, me)) {
+    const sets = owner.openedSets || [];
+    for (let runIndex = 0; runIndex < sets.length; runIndex++) {
+      const run = sets[runIndex] || [];
+
+      for (const card of me.hand) {
+        // a joker always needs a real card alongside it
+        if (card.value === "2") continue;
+
+        const combined = [...run, card];
+        if (validRun(combined, rules)) return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+export function canOpenAnyRunFromHand(hand, rules = DEFAULT_RULES) {
+  if (!Array.isArray(hand) || hand.length < 3) return false;
+
+  const jokers = Math.min(
+    hand.filter((c) => c.value === "2").length,
+    rules.maxJokersPerRun
+  );
+
+  // Need at least 3 total cards and at least 2 real cards in a run (validRun rule)
+  const realBySuit = {};
+  for (const c of hand) {
+    if (c.value === "2") continue;
+    if (!realBySuit[c.suit]) realBySuit[c.suit] = [];
+    realBySuit[c.suit].push(INDEX[c.value]);
+  }
+
+  for (const suit of Object.keys(realBySuit)) {
+    const idx = realBySuit[suit].sort((a, b) => a - b);
+    const n = idx.length;
+
+    // Need at least 2 real cards (then jokers can complete to 3+)
+    if (n < 2) continue;
+
+    for (let i = 0; i < n; i++) {
+      let gaps = 0;
+      for (let j = i + 1; j < n; j++) {
+        gaps += idx[j] - idx[j - 1] - 1;
+        if (gaps > jokers) break;
+
+        const realCount = j - i + 1;
+
+        // validRun requires >=2 real cards AND gaps <= jokers
+        // also total cards in the run must be >=3
+        if (realCount >= 2 && realCount + jokers >= 3) return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+// Master rule gate used by discard/endTurn:
+// When closed is empty, block discard/endTurn if mandatory actions exist
+export function mustPlayAllMeldsNow(g, p) {
+  if (!g || !p) return false;
+
+  // Only applies once closed stack is empty
+  if ((g.closed?.length || 0) !== 0) return false;
+
+  // Must have drawn this turn (open/add also require canDiscard)
+  if (!p.canDiscard) return false;
+
+  // Add-to-run mandatory if any add exists
+  if (canAddToAnyRun(g, p)) return true;
+
+  // Create-run mandatory ONLY if there exists a pure run in hand (no jokers)
+  if (hasPureRun(p.hand || [])) return true;
+
+  return false;
+}
+
+/* ---------- DECK EXHAUSTION ---------- */
+
+// after this many reshuffles in one round a stalemate ends the round anyway
+export const MAX_RESHUFFLES = 3;
+
+/**
+ * Called at every turn end. With the closed stack empty, a full lap in which
+ * nobody melds means nobody can: reshuffle the open stack (minus its top card)
+ * into a new closed stack, or end the round with no winner (house rule).
+ */
+function trackStalemate(g, events) {
+  if (g.closed.length || g.turnMelded) {
+    g.stallTurns = 0;
+    return;
+  }
+
+  g.stallTurns = (g.stallTurns || 0) + 1;
+  if (g.stallTurns < g.players.length) return;
+  g.stallTurns = 0;
+
+  const reshuffles = g.reshuffles || 0;
+  if (rulesFor(g).dryDeck === "reshuffle" && g.open.length > 1 && reshuffles < MAX_RESHUFFLES) {
+    const top = g.open.pop();
+    g.reshuffles = reshuffles + 1;
+
+    // keyed off the (still secret) deal seed so replays reshuffle identically
+    const seed = `${g.deckSeed || ""}${g.reshuffles.toString(16).padStart(8, "0")}`;
+    g.closed = shuffleCards(g.open, seed);
+    g.open = [top];
+
+    events.push({ type: "reshuffle", count: g.closed.length });
+    return;
+  }
+
+  // no winner: everyone scores table minus hand as usual, nobody gets the going-out bonus
+  g.roundOver = true;
+  g.exhausted = true;
+  g.winner = null;
+  g.winnerPid = null;
+
+  scoreRound(g);
+  checkWin(g);
+
+  events.push({ type: "roundOver", playerId: null, exhausted: true });
+  if (g.gameOver) events.push({ type: "gameOver" });
+}
+
+/* ---------- SCORING ---------- */
+
+// Round going-out bonus on top of the winner's table points.
+export const GOING_OUT_BONUS = 10;
+
+/**
+ * Mutates p.score / g.teamScores in place (applyAction calls it on its own copy)
+ * and appends the round's breakdown to g.scoresheet:
+ * { round, winner, exhausted, players: [{ playerId, name, team, openedPts,
+ *   handPts, multiplier, bonus, delta, total }], teams: [{ team, delta, total }] | null }
+ */
+export function scoreRound(g) {
+  const { unopenedMultiplier } = rulesFor(g);
+  const openedPts = (p) => p.openedSets.flat().reduce((s, c) => s + (c.points || 0), 0);
+  const handPts = (p) => p.hand.reduce((s, c) => s + (c.points || 0), 0);
+
+  // ✅ winner identity should be stable (pid). fallback to id if needed.
+  const winnerPid =
+    g.winnerPid ??
+    (g.winner ? g.players.find((pp) => pp.id === g.winner)?.pid : null);
+
+  const rows = g.players.map((p) => {
+    const isWinner = winnerPid ? p.pid === winnerPid : p.id === g.winner;
+    const onTable = openedPts(p);
+
+    // winner: table + bonus; everyone else: table - hand, ×multiplier if never opened
+    const hand = isWinner ? 0 : handPts(p);
+    const multiplier = !isWinner && !p.opened ? unopenedMultiplier : 1;
+    const bonus = isWinner ? GOING_OUT_BONUS : 0;
+    const delta = isWinner ? onTable + bonus : (onTable - hand) * multiplier;
+
+    return {
+      playerId: p.id,
+      name: p.name,
+      team: p.team ?? null,
+      // said outright: with a ×1 house rule the multiplier can't tell who never opened
+      opened: !!p.opened,
+      openedPts: onTable,
+      handPts: hand,
+      multiplier,
+      bonus,
+      delta
+    };
+  });
+
+  let teams = null;
+
+  // INDIVIDUAL MODE
+  if (!g.teamMode) {
+    g.players.forEach((p, i) => {
+      p.score += rows[i].delta;
+      rows[i].total = p.score;
+    });
+  } else {
+    // TEAM MODE
+    if (!g.teamScores) g.teamScores = { 0: 0, 1: 0 };
+
+    const teamDelta = { 0: 0, 1: 0 };
+    rows.forEach((row) => {
+      if (row.team === 0 || row.team === 1) teamDelta[row.team] += row.delta;
+    });
+
+    g.teamScores[0] = (g.teamScores[0] || 0) + teamDelta[0];
+    g.teamScores[1] = (g.teamScores[1] || 0) + teamDelta[1];
+
+    // mirror team score onto each player for compatibility with current UI
+    g.players.forEach((p, i) => {
+      if (p.team === 0 || p.team === 1) p.score = g.teamScores[p.team] || 0;
+      rows[i].total = p.score;
+    });
+
+    teams = [0, 1].map((team) => ({ team, delta: teamDelta[team], total: g.teamScores[team] }));
+  }
+
+  const winner = g.players.find((p) => (winnerPid ? p.pid === winnerPid : p.id === g.winner));
+  g.scoresheet = [
+    ...(g.scoresheet || []),
+    { round: g.roundNo || 1, winner: winner?.name ?? null, exhausted: !!g.exhausted, players: rows, teams }
+  ];
+}
+
+export function checkWin(g) {
+  const { winScore } = rulesFor(g);
+
+  if (!g.teamMode) {
+    if (g.players.some((p) => p.score >= winScore)) g.gameOver = true;
+    return;
+  }
+
+  if (!g.teamScores) g.teamScores = { 0: 0, 1: 0 };
+  if ((g.teamScores[0] || 0) >= winScore || (g.teamScores[1] || 0) >= winScore) {
+    g.gameOver = true;
+  }
+}
+
+/* ---------- CHAT ---------- */
+
+// the only emoji accepted as message reactions and seat pop-ups
+export const CHAT_REACTIONS = ["👍", "😂", "😮", "😅", "🔥", "👏"];
+
+/* ---------- REDUCER ---------- */
+
+/**
+ * Stable rejection codes (reducer and server) with the text players see.
+ * Codes are part of the client protocol: add new ones, never rename.
+ */
+export const ERROR_MESSAGES = {
+  // turn + draw
+  UNKNOWN_ACTION: "That action isn’t supported.",
+  ROUND_OVER: "This round is already over.",
+  NOT_YOUR_TURN: "It’s not your turn.",
+  ALREADY_DREW: "You already drew this turn.",
+  CLOSED_EMPTY: "The closed stack is empty.",
+  BAD_COUNT: "You can’t take that many cards from the open stack.",
+  MUST_DRAW_FIRST: "Draw a card first.",
+  BAD_CARD: "That card isn’t in your hand.",
+  NO_CARDS: "Select at least one card.",
+  MUST_DISCARD: "You must discard before ending your turn.",
+  MUST_PLAY_MELDS: "You must play all mandatory adds/runs first.",
+  NO_DISCARD_DRAWN_CARD: "You can’t discard the last open-stack card you just drew.",
+  HAND_NOT_EMPTY: "You still have cards in your hand.",
+
+  // runs
+  TOO_FEW_CARDS: "A run needs at least 3 cards.",
+  TOO_MANY_JOKERS: "Too many jokers in that run.",
+  NEEDS_TWO_REAL: "A run needs at least 2 real cards.",
+  MIXED_SUITS: "All cards in a run must share a suit.",
+  DUPLICATE_RANK: "A run can’t repeat a rank.",
+  NOT_CONSECUTIVE: "Those cards aren’t consecutive.",
+  NOT_OPENED: "Open a run of your own first.",
+  BAD_RUN_TARGET: "That run no longer exists.",
+  NOT_YOUR_RUN: "You can only add to your own (or your team’s) runs.",
+  JOKER_NEEDS_REAL: "A joker must be added together with a real card.",
+
+  // rooms + seats
+  BAD_REQUEST: "Something was missing from that request.",
+  ROOM_NOT_FOUND: "That room doesn’t exist (any more).",
+  ROOM_EXISTS: "A room with that code already exists.",
+  NAME_REQUIRED: "Enter your name first.",
+  TEAM_REQUIRED: "Pick a team first.",
+  TEAM_FULL: "That team is full (max 2 players). Pick the other team.",
+  TEAMS_FULL: "Both teams are full (2v2 max).",
+  TABLE_FULL: "The table is full.",
+  NOT_IN_ROOM: "You’re not at this table.",
+  ALREADY_SEATED: "You already have a seat in this room.",
+  NOT_SPECTATING: "Only spectators can take a free seat.",
+  ROUND_IN_PROGRESS: "You can take a seat once this round is over.",
+  ROUND_NOT_OVER: "The round isn’t over yet.",
+  GAME_OVER: "This game is over. Start a new one.",
+  GAME_NOT_OVER: "The current game isn’t finished yet.",
+  NO_REPLAY: "Replays are available once a game has finished.",
+  NOT_HOST: "Only the host can do that.",
+  ROOM_LOCKED: "This room is locked by the host.",
+  KICKED: "The host removed you from this room.",
+  BAD_SEAT: "That seat doesn’t exist.",
+  CANT_KICK_SELF: "You can’t kick yourself. Use ⬅ to leave.",
+  PASSWORD_REQUIRED: "This room needs a password.",
+  WRONG_PASSWORD: "Wrong room password.",
+  BAD_INVITE: "That invite link is invalid, expired or already used.",
+  SUPERSEDED: "You opened this seat in another tab or device, so this one was disconnected.",
+  SWAP_DISABLED: "Joker swaps are off at this table.",
+  NOT_A_JOKER: "That card in the run isn’t a joker.",
+  WRONG_SWAP_CARD: "Only the exact card the joker stands for can replace it.",
+  NO_PROFILE: "No finished games yet: your profile starts after your first one.",
+  NOTHING_TO_UNDO: "There’s nothing to undo this turn.",
+  UNDO_MANDATORY: "The closed stack is empty, so that meld is mandatory and can’t be undone.",
+  BAD_MESSAGE: "Messages must be 1–240 characters.",
+  NO_TEAM_CHAT: "Team chat is only for seated players in a team game.",
+  BAD_REACTION: "That reaction isn’t available.",
+  MESSAGE_NOT_FOUND: "That message is no longer in the chat.",
+
+  // abuse protection
+  RATE_LIMITED: "You’re doing that too fast. Wait a moment and try again.",
+  FLOODING: "Too many requests in a short time, so you were disconnected. Reload to rejoin.",
+  TOO_MANY_ROOMS: "You already have too many open rooms. Finish or leave one first."
+};
+
+function endRound(g, p, events) {
+  p.mustDiscard = false;
+  p.canDiscard = false;
+  p.undoStack = [];
+
+  g.roundOver = true;
+  g.winner = p.id;      // keep for UI
+  g.winnerPid = p.pid;  // stable identity for scoring
+
+  scoreRound(g);
+  checkWin(g);
+
+  events.push({ type: "roundOver", playerId: p.id });
+  if (g.gameOver) events.push({ type: "gameOver" });
+}
+
+// Every handler gets a private copy of the state; returning a string rejects.
+const handlers = {
+  drawClosed(g, p, action, events) {
+    if (p.canDiscard) return "ALREADY_DREW";
+    if (!g.closed.length) return "CLOSED_EMPTY";
+
+    const card = g.closed.pop();
+    p.hand.push(card);
+
+    // closed draw => discard REQUIRED before end turn
+    p.mustDiscard = true;
+    p.canDiscard = true;
+    p.noDiscardCardId = null;
+
+    // ✅ checkpoint: melds from here until discard/endTurn can be undone
+    p.undoStack = [];
+    g.turnMelded = false;
+
+    events.push({ type: "drawClosed", playerId: p.id, cardIds: [card.id] });
+  },
+
+  drawOpen(g, p, { count }, events) {
+    if (p.canDiscard) return "ALREADY_DREW";
+    // 🚫 whole cards only: "abc" or 1.5 would slip past the bounds and splice(-NaN) the whole stack
+    if (!Number.isInteger(count) || count < 1 || count > g.open.length) return "BAD_COUNT";
+
+    const preLen = g.open.length;
+
+    // open is stored bottom->top; draw from TOP = last items
+    const drawn = g.open.splice(-count);
+    p.hand.push(...drawn);
+
+    // If you emptied the open stack, you MUST discard to re-seed it.
+    // Otherwise discard stays optional.
+    p.mustDiscard = g.open.length === 0;
+    p.canDiscard = true;
+
+    // ✅ ONLY if open had exactly 1 card and you drew that 1,
+    // you cannot discard that exact card this turn (house rule, on by default).
+    p.noDiscardCardId =
+      rulesFor(g).noDiscardDrawnCard && preLen === 1 && count === 1 && drawn[0]?.id ? drawn[0].id : null;
+
+    p.undoStack = [];
+    g.turnMelded = false;
+
+    events.push({ type: "drawOpen", playerId: p.id, count, cardIds: drawn.map((c) => c.id) });
+  },
+
+  discard(g, p, { index }, events) {
+    if (!p.canDiscard) return "MUST_DRAW_FIRST";
+    if (index == null || index < 0 || index >= p.hand.length) return "BAD_CARD";
+
+    // 🚫 House rule: closed empty → must play mandatory melds first
+    if (mustPlayAllMeldsNow(g, p)) return "MUST_PLAY_MELDS";
+
+    // 🚫 if open had exactly 1 card and you drew it, you can't discard that same card
+    if (p.noDiscardCardId && p.hand[index]?.id === p.noDiscardCardId) return "NO_DISCARD_DRAWN_CARD";
+
+    // move card to open stack
+    const card = p.hand.splice(index, 1)[0];
+    g.open.push(card);
+
+    // ✅ clear the restriction after any successful discard
+    p.noDiscardCardId = null;
+
+    // discard completes discard requirement
+    p.mustDiscard = false;
+
+    // the table has seen the discard: melds are final now
+    p.undoStack = [];
+
+    events.push({ type: "discard", playerId: p.id, cardIds: [card.id] });
+
+    // ✅ if you discarded your last card, you are OUT immediately
+    if (p.hand.length === 0) {
+      endRound(g, p, events);
+      return;
+    }
+
+    // normal discard ends turn
+    p.canDiscard = false;
+    g.turn = nextTurnIndex(g, g.turn);
+    trackStalemate(g, events);
+  },
+
+  endTurn(g, p, action, events) {
+    // must have drawn this turn to end turn
+    if (!p.canDiscard) return "MUST_DRAW_FIRST";
+
+    // if discard required, cannot end turn
+    if (p.mustDiscard) return "MUST_DISCARD";
+
+    // 🚫 House rule: closed stack empty → must play mandatory melds first
+    if (mustPlayAllMeldsNow(g, p)) return "MUST_PLAY_MELDS";
+
+    // optional-discard path: end turn without discarding
+    p.canDiscard = false;
+
+    // ✅ clear the restriction when the turn ends
+    p.noDiscardCardId = null;
+    p.undoStack = [];
+
+    g.turn = nextTurnIndex(g, g.turn);
+
+    events.push({ type: "endTurn", playerId: p.id });
+    trackStalemate(g, events);
+  },
+
+  // Last resort when a turn has run out and auto-play found no legal way to finish it
+  // (nothing left to draw, or every discard and endTurn refused): throw back a card
+  // if one was drawn, then hand the turn on regardless of the meld rules.
+  forceEndTurn(g, p, action, events) {
+    const index = p.canDiscard && p.hand.length > 1 ? p.hand.findIndex((c) => c.id !== p.noDiscardCardId) : -1;
+    const thrown = index >= 0 ? p.hand.splice(index, 1) : [];
+    g.open.push(...thrown);
+
+    p.canDiscard = false;
+    p.mustDiscard = false;
+    p.noDiscardCardId = null;
+    p.undoStack = [];
+
+    g.turn = nextTurnIndex(g, g.turn);
+
+    events.push({ type: "forceEndTurn", playerId: p.id, cardIds: thrown.map((c) => c.id) });
+    trackStalemate(g, events);
+  },
+
+  openRun(g, p, { cardIds, jokerEnd }, events) {
+    // ✅ must draw before opening any runs
+    if (!p.canDiscard) return "MUST_DRAW_FIRST";
+
+    const ids = Array.isArray(cardIds) ? cardIds : [];
+    if (ids.length < 3) return "TOO_FEW_CARDS";
+    // 🚫 one card, one slot: a repeated joker id would be laid twice
+    if (new Set(ids).size !== ids.length) return "BAD_CARD";
+
+    const cards = ids.map((id) => p.hand.find((c) => c.id === id));
+    if (cards.includes(undefined)) return "BAD_CARD";
+
+    const bad = runError(cards, rulesFor(g));
+    if (bad) return bad;
+
+    p.undoStack = [...(p.undoStack || []), { type: "openRun", cardIds: ids, wasOpened: p.opened }];
+
+    p.hand = p.hand.filter((c) => !ids.includes(c.id));
+    p.openedSets.push(normalizeRun(cards, jokerEnd));
+    p.opened = true;
+    g.turnMelded = true;
+
+    events.push({ type: "openRun", playerId: p.id, cardIds: ids, runIndex: p.openedSets.length - 1 });
+  },
+
+  addToRun(g, me, { targetPlayer, runIndex, cardIds, jokerEnd }, events) {
+    if (!me.opened) return "NOT_OPENED";
+
+    // ✅ must draw before adding to any run
+    if (!me.canDiscard) return "MUST_DRAW_FIRST";
+
+    const owner = g.players.find((pp) => pp.id === targetPlayer);
+    if (!owner) return "BAD_RUN_TARGET";
+    if (runIndex == null || runIndex < 0 || runIndex >= owner.openedSets.length) return "BAD_RUN_TARGET";
+
+    // team restriction
+    if (!allowedRunOwners(g, me).includes(owner)) return "NOT_YOUR_RUN";
+
+    const ids = Array.isArray(cardIds) ? cardIds : [];
+    if (ids.length < 1) return "NO_CARDS";
+    if (new Set(ids).size !== ids.length) return "BAD_CARD";
+
+    const add = ids.map((id) => me.hand.find((c) => c.id === id));
+    if (add.includes(undefined)) return "BAD_CARD";
+
+    const original = [...owner.openedSets[runIndex]];
+
+    // counts (supports selecting multiple cards)
+    const originalJokers = original.filter((c) => c.value === "2").length;
+    const addJokers = add.filter((c) => c.value === "2").length;
+    const addReals = add.filter((c) => c.value !== "2").length;
+
+    // ✅ House rule: joker limit per run total
+    const rules = rulesFor(g);
+    if (originalJokers + addJokers > rules.maxJokersPerRun) return "TOO_MANY_JOKERS";
+
+    // ✅ joker-only add is never allowed
+    if (addJokers > 0 && addReals === 0) return "JOKER_NEEDS_REAL";
+
+    const bad = runError([...original, ...add], rules);
+    if (bad) return bad;
+
+    const combined = [...original, ...add];
+
+    // seat, not id: ids change on reconnect
+    me.undoStack = [
+      ...(me.undoStack || []),
+      { type: "addToRun", ownerSeat: g.players.indexOf(owner), runIndex, cardIds: ids, before: original }
+    ];
+
+    owner.openedSets[runIndex] = normalizeRun(combined, jokerEnd);
+    me.hand = me.hand.filter((c) => !ids.includes(c.id));
+    g.turnMelded = true;
+
+    events.push({ type: "addToRun", playerId: me.id, targetPlayer: owner.id, runIndex, cardIds: ids });
+  },
+
+  // Exact card for a joker in an allowed run: the card goes in, the joker comes home.
+  swapJoker(g, me, { targetPlayer, runIndex, jokerId, cardId }, events) {
+    const rules = rulesFor(g);
+    if (!rules.jokerSwap) return "SWAP_DISABLED";
+    if (!me.opened) return "NOT_OPENED";
+    if (!me.canDiscard) return "MUST_DRAW_FIRST";
+
+    const owner = g.players.find((pp) => pp.id === targetPlayer);
+    const run = owner?.openedSets[runIndex];
+    if (!run) return "BAD_RUN_TARGET";
+    if (!allowedRunOwners(g, me).includes(owner)) return "NOT_YOUR_RUN";
+
+    const position = run.findIndex((c) => c.id === jokerId);
+    const rank = jokerRank(run, position);
+    if (rank == null) return "NOT_A_JOKER";
+
+    const card = me.hand.find((c) => c.id === cardId);
+    if (!card) return "BAD_CARD";
+
+    const suit = run.find((c) => c.value !== "2").suit;
+    if (card.value === "2" || card.suit !== suit || INDEX[card.value] !== rank) return "WRONG_SWAP_CARD";
+
+    const swapped = run.map((c, i) => (i === position ? card : c));
+    const bad = runError(swapped, rules);
+    if (bad) return bad;
+
+    owner.openedSets[runIndex] = normalizeRun(swapped);
+    me.hand = [...me.hand.filter((c) => c.id !== cardId), cardFromRun(run[position])];
+
+    // the joker is back in hand: earlier melds can't be taken back around it
+    me.undoStack = [];
+    g.turnMelded = true;
+
+    events.push({ type: "swapJoker", playerId: me.id, targetPlayer: owner.id, runIndex, cardIds: [cardId, jokerId] });
+  },
+
+  // Takes back the latest openRun/addToRun of this turn (last in, first out).
+  undo(g, p, action, events) {
+    const entry = p.undoStack?.[p.undoStack.length - 1];
+    if (!p.canDiscard || !entry) return "NOTHING_TO_UNDO";
+
+    const owner = entry.type === "openRun" ? p : g.players[entry.ownerSeat];
+    const runIndex = entry.type === "openRun" ? owner.openedSets.length - 1 : entry.runIndex;
+    const run = owner?.openedSets[runIndex];
+
+    // the run must still hold every card we put there (a kick can reseat the table)
+    const taken = entry.cardIds.map((id) => run?.find((c) => c.id === id));
+    if (taken.includes(undefined)) return "NOTHING_TO_UNDO";
+
+    if (entry.type === "openRun") {
+      owner.openedSets.splice(runIndex, 1);
+      p.opened = entry.wasOpened;
+    } else {
+      owner.openedSets[runIndex] = entry.before;
+    }
+    p.hand.push(...taken.map(cardFromRun));
+    p.undoStack = p.undoStack.slice(0, -1);
+    g.turnMelded = p.undoStack.length > 0;
+
+    // 🚫 closed empty: melds are mandatory, so taking one back can't be allowed
+    if (mustPlayAllMeldsNow(g, p)) return "UNDO_MANDATORY";
+
+    events.push({ type: "undo", playerId: p.id, undone: entry.type, cardIds: entry.cardIds });
+  },
+
+  playerWentOut(g, p, action, events) {
+    // must have 0 cards
+    if (p.hand.length) return "HAND_NOT_EMPTY";
+
+    // ✅ MUST have drawn this turn (prevents going out without drawing)
+    if (!p.canDiscard) return "MUST_DRAW_FIRST";
+
+    endRound(g, p, events);
+  }
+};
+
+/**
+ * applyAction(state, action) -> { state, events, error }
+ *
+ * `action` is `{ type, playerId, ...payload }` where playerId is the acting
+ * player's public id. The input state is never mutated: on success `state`
+ * is a new object, on rejection it is the original and `error` holds a
+ * stable code (see ERROR_MESSAGES).
+ */
+export function applyAction(state, action) {
+  const handler = handlers[action?.type];
+  if (!state || !handler) return { state, events: [], error: "UNKNOWN_ACTION" };
+  if (state.roundOver || state.gameOver) return { state, events: [], error: "ROUND_OVER" };
+
+  // every in-round action belongs to the current turn player
+  if (state.players?.[state.turn]?.id !== action.playerId) {
+    return { state, events: [], error: "NOT_YOUR_TURN" };
+  }
+
+  const next = structuredClone(state);
+  const events = [];
+  const error = handler(next, next.players[next.turn], action, events);
+  if (error) return { state, events: [], error };
+
+  return { state: next, events, error: null };
+}
+
+/* ---------- AUTO-PLAY (turn timeout) ---------- */
+
+// First legal mandatory meld for p (add before open), as an applyAction payload.
+export function findMandatoryMeld(g, p) {
+  const rules = rulesFor(g);
+
+  if (p.opened) {
+    for (const owner of allowedRunOwners(g, p)) {
+      const sets = owner.openedSets || [];
+      for (let runIndex = 0; runIndex < sets.length; runIndex++) {
+        const run = sets[runIndex];
+        const runJokers = run.filter((c) => c.value === "2").length;
+
+        for (const card of p.hand) {
+          if (card.value === "2") continue;
+          if (validRun([...run, card], rules)) {
+            return { type: "addToRun", targetPlayer: owner.id, runIndex, cardIds: [card.id] };
+          }
+        }
+
+        if (runJokers < rules.maxJokersPerRun) {
+          for (const j of p.hand.filter((c) => c.value === "2")) {
+            for (const r of p.hand.filter((c) => c.value !== "2")) {
+              if (validRun([...run, j, r], rules)) {
+                return { type: "addToRun", targetPlayer: owner.id, runIndex, cardIds: [j.id, r.id] };
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // pure run: 3 consecutive real cards of one suit
+  for (const suit of SUITS) {
+    const byIdx = new Map();
+    for (const c of p.hand) {
+      if (c.value !== "2" && c.suit === suit && !byIdx.has(INDEX[c.value])) byIdx.set(INDEX[c.value], c);
+    }
+    for (let i = 0; i + 2 < ORDER.length; i++) {
+      if (byIdx.has(i) && byIdx.has(i + 1) && byIdx.has(i + 2)) {
+        return { type: "openRun", cardIds: [byIdx.get(i).id, byIdx.get(i + 1).id, byIdx.get(i + 2).id] };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Discard choice: highest penalty first, then highest rank, then hand order.
+function pickAutoDiscardIndex(p) {
+  let best = -1;
+  p.hand.forEach((c, i) => {
+    if (c.id === p.noDiscardCardId) return;
+    if (best < 0) {
+      best = i;
+      return;
+    }
+    const b = p.hand[best];
+    const pts = (c.points || 0) - (b.points || 0);
+    const rank = (INDEX[c.value] ?? -1) - (INDEX[b.value] ?? -1);
+    if (pts > 0 || (pts === 0 && rank > 0)) best = i;
+  });
+  return best;
+}
+
+/**
+ * Plays the rest of the current player's turn deterministically:
+ * draw (closed, else top open card) → mandatory melds → go out or discard
+ * the highest-penalty card. Same { state, events, error } shape as applyAction.
+ */
+export function autoPlayTurn(state, playerId) {
+  let g = state;
+  const events = [];
+
+  const step = (action) => {
+    const res = applyAction(g, { ...action, playerId });
+    if (!res.error) {
+      g = res.state;
+      events.push(...res.events);
+    }
+    return res.error;
+  };
+  const me = () => g.players[g.turn];
+
+  if (g.players?.[g.turn]?.id !== playerId) return { state, events: [], error: "NOT_YOUR_TURN" };
+
+  if (!me().canDiscard) {
+    const error = g.closed.length ? step({ type: "drawClosed" }) : step({ type: "drawOpen", count: 1 });
+    if (error) return { state, events: [], error };
+  }
+
+  for (let guard = 0; guard < 20 && mustPlayAllMeldsNow(g, me()); guard++) {
+    const meld = findMandatoryMeld(g, me());
+    if (!meld || step(meld)) break;
+  }
+
+  if (me().hand.length === 0) {
+    step({ type: "playerWentOut" });
+    return { state: g, events, error: null };
+  }
+
+  const index = pickAutoDiscardIndex(me());
+  if (index < 0 || step({ type: "discard", index })) {
+    const error = step({ type: "endTurn" });
+    if (error) return { state, events: [], error };
+  }
+
+  return { state: g, events, error: null };
+}
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction } from "../index.js";
+import { player, table } from "./fixtures.js";
+
+test("only a whole number of open cards can be drawn", () => {
+  const g = table({ players: [player("a", { hand: ["9♣"] }), player("b")] });
+
+  for (const count of ["abc", "1", 1.5, 0, 3, null]) {
+    const res = applyAction(g, { type: "drawOpen", playerId: "a", count });
+    assert.equal(res.error, "BAD_COUNT", String(count));
+  }
+  assert.equal(g.open.length, 2);
+
+  const { state, error } = applyAction(g, { type: "drawOpen", playerId: "a", count: 2 });
+  assert.equal(error, null);
+  assert.equal(state.players[0].hand.length, 3);
+  assert.equal(state.open.length, 0);
+});
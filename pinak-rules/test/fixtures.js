@@ -0,0 +1,45 @@
+import { DEFAULT_RULES, cardPoints } from "../index.js";
+
+// "10♥" -> { id: "10♥", value: "10", suit: "♥", points } (the buildDeck id format)
+export function card(id, rules = DEFAULT_RULES) {
+  const value = id.slice(0, -1);
+  return { id, value, suit: id.slice(-1), points: cardPoints(value, rules) };
+}
+
+export const cards = (...ids) => ids.map((id) => card(id));
+
+export function player(id, { team = null, hand = [], openedSets = [], ...rest } = {}) {
+  return {
+    id,
+    pid: `pid-${id}`,
+    name: id,
+    team,
+    hand: cards(...hand),
+    openedSets: openedSets.map((run) => cards(...run)),
+    opened: openedSets.length > 0,
+    mustDiscard: false,
+    canDiscard: false,
+    noDiscardCardId: null,
+    score: 0,
+    undoStack: [],
+    ...rest
+  };
+}
+
+// A mid-round table with `players[0]` to act. Stacks are bottom -> top.
+export function table({ players, closed = ["9♦", "10♦"], open = ["J♥", "Q♥"], teamMode = false, rules } = {}) {
+  return {
+    room: "TEST",
+    teamMode,
+    ...(rules ? { rules: { ...DEFAULT_RULES, ...rules } } : {}),
+    teamScores: teamMode ? { 0: 0, 1: 0 } : null,
+    players,
+    closed: cards(...closed),
+    open: cards(...open),
+    turn: 0,
+    roundNo: 1,
+    roundOver: false,
+    gameOver: false,
+    winner: null
+  };
+}
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction } from "../index.js";
+import { player, table } from "./fixtures.js";
+
+const layout = (run) => run.map((c) => (c.value === "2" ? `2=${c.rep}` : c.id));
+
+// drawn already, so melds are allowed
+const melding = (hand, extra) => player("a", { hand, canDiscard: true, ...extra });
+
+test("a joker fills the gap in a run", () => {
+  const g = table({ players: [melding(["5♠", "7♠", "2♥", "9♣"]), player("b")] });
+  const { state, error } = applyAction(g, { type: "openRun", playerId: "a", cardIds: ["7♠", "2♥", "5♠"] });
+
+  assert.equal(error, null);
+  assert.deepEqual(layout(state.players[0].openedSets[0]), ["5♠", "2=6", "7♠"]);
+  assert.equal(state.players[0].openedSets[0][1].suit, "♠");
+  assert.equal(state.players[0].opened, true);
+});
+
+test("a spare joker goes on the high end unless the low end is asked for", () => {
+  const hand = ["5♠", "6♠", "2♦", "9♣"];
+  const ids = ["5♠", "6♠", "2♦"];
+
+  const high = applyAction(table({ players: [melding(hand), player("b")] }), { type: "openRun", playerId: "a", cardIds: ids });
+  assert.deepEqual(layout(high.state.players[0].openedSets[0]), ["5♠", "6♠", "2=7"]);
+
+  const low = applyAction(table({ players: [melding(hand), player("b")] }), {
+    type: "openRun",
+    playerId: "a",
+    cardIds: ids,
+    jokerEnd: "low"
+  });
+  assert.deepEqual(layout(low.state.players[0].openedSets[0]), ["2=4", "5♠", "6♠"]);
+});
+
+test("a spare joker spills below a run that already ends on the ace", () => {
+  const g = table({ players: [melding(["K♠", "A♠", "2♣", "9♣"]), player("b")] });
+  const { state, error } = applyAction(g, { type: "openRun", playerId: "a", cardIds: ["K♠", "A♠", "2♣"] });
+
+  assert.equal(error, null);
+  assert.deepEqual(layout(state.players[0].openedSets[0]), ["2=Q", "K♠", "A♠"]);
+});
+
+test("a second joker in a new run is refused", () => {
+  const g = table({ players: [melding(["5♠", "6♠", "2♥", "2♦", "9♣"]), player("b")] });
+  const res = applyAction(g, { type: "openRun", playerId: "a", cardIds: ["5♠", "6♠", "2♥", "2♦"] });
+
+  assert.equal(res.error, "TOO_MANY_JOKERS");
+  assert.equal(res.state, g);
+  assert.equal(g.players[0].hand.length, 5);
+});
+
+test("a joker can't join a run that already holds one, unless the house rule allows two", () => {
+  const setup = (rules) =>
+    table({
+      rules,
+      players: [melding(["8♠", "2♣", "9♣"], { openedSets: [["5♠", "2♥", "7♠"]] }), player("b")]
+    });
+  const add = { type: "addToRun", playerId: "a", targetPlayer: "a", runIndex: 0, cardIds: ["8♠", "2♣"] };
+
+  assert.equal(applyAction(setup(), add).error, "TOO_MANY_JOKERS");
+
+  const { state, error } = applyAction(setup({ maxJokersPerRun: 2 }), add);
+  assert.equal(error, null);
+  assert.equal(state.players[0].openedSets[0].filter((c) => c.value === "2").length, 2);
+});
+
+test("a joker can't be added without a real card", () => {
+  const g = table({ players: [melding(["2♣", "9♣"], { openedSets: [["5♠", "6♠", "7♠"]] }), player("b")] });
+  const res = applyAction(g, { type: "addToRun", playerId: "a", targetPlayer: "a", runIndex: 0, cardIds: ["2♣"] });
+
+  assert.equal(res.error, "JOKER_NEEDS_REAL");
+});
+
+test("a joker taken back from a run gets its own suit back, whatever its id", () => {
+  // rooms saved before card-derived ids used uuids
+  const legacy = { id: "0f8c2b6e-joker", value: "2", suit: "♦", points: 2 };
+  const a = melding(["5♠", "6♠", "9♣"]);
+  a.hand.push(legacy);
+  const g = table({ players: [a, player("b")] });
+
+  const opened = applyAction(g, { type: "openRun", playerId: "a", cardIds: ["5♠", "6♠", legacy.id] });
+  assert.equal(opened.state.players[0].openedSets[0][2].suit, "♠");
+
+  const undone = applyAction(opened.state, { type: "undo", playerId: "a" });
+  assert.equal(undone.error, null);
+  assert.deepEqual(
+    undone.state.players[0].hand.find((c) => c.id === legacy.id),
+    legacy
+  );
+});
+
+test("the same joker can't be laid twice, even with two jokers allowed", () => {
+  const rules = { maxJokersPerRun: 2 };
+  const open = table({ rules, players: [melding(["5♠", "6♠", "2♣", "9♣"]), player("b")] });
+  const opened = applyAction(open, { type: "openRun", playerId: "a", cardIds: ["5♠", "6♠", "2♣", "2♣"] });
+  assert.equal(opened.error, "BAD_CARD");
+  assert.equal(opened.state, open);
+
+  const add = table({ rules, players: [melding(["8♠", "2♣", "9♣"], { openedSets: [["5♠", "6♠", "7♠"]] }), player("b")] });
+  const added = applyAction(add, {
+    type: "addToRun",
+    playerId: "a",
+    targetPlayer: "a",
+    runIndex: 0,
+    cardIds: ["8♠", "2♣", "2♣"]
+  });
+  assert.equal(added.error, "BAD_CARD");
+  assert.equal(added.state, add);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyAction, autoPlayTurn } from "../index.js";
+import { player, table } from "./fixtures.js";
+
+const draw = (g) => {
+  const res = applyAction(g, { type: "drawOpen", playerId: "a", count: 1 });
+  assert.equal(res.error, null);
+  return res.state;
+};
+
+test("with the closed stack empty, a player holding a pure run must lay it before discarding", () => {
+  const g = draw(table({ closed: [], players: [player("a", { hand: ["3♥", "4♥", "5♥", "9♣"] }), player("b")] }));
+
+  assert.equal(applyAction(g, { type: "discard", playerId: "a", index: 3 }).error, "MUST_PLAY_MELDS");
+  assert.equal(applyAction(g, { type: "endTurn", playerId: "a" }).error, "MUST_PLAY_MELDS");
+
+  const opened = applyAction(g, { type: "openRun", playerId: "a", cardIds: ["3♥", "4♥", "5♥"] });
+  assert.equal(opened.error, null);
+
+  const discarded = applyAction(opened.state, { type: "discard", playerId: "a", index: 0 });
+  assert.equal(discarded.error, null);
+  assert.equal(discarded.state.turn, 1);
+});
+
+test("with the closed stack empty, a card that extends a run must be added first", () => {
+  const g = draw(
+    table({ closed: [], players: [player("a", { hand: ["8♠", "9♣"], openedSets: [["5♠", "6♠", "7♠"]] }), player("b")] })
+  );
+
+  assert.equal(applyAction(g, { type: "discard", playerId: "a", index: 1 }).error, "MUST_PLAY_MELDS");
+
+  const added = applyAction(g, { type: "addToRun", playerId: "a", targetPlayer: "a", runIndex: 0, cardIds: ["8♠"] });
+  assert.equal(added.error, null);
+  assert.equal(applyAction(added.state, { type: "discard", playerId: "a", index: 0 }).error, null);
+});
+
+test("a run that needs a joker is not mandatory", () => {
+  const g = draw(table({ closed: [], players: [player("a", { hand: ["3♥", "5♥", "2♣", "9♣"] }), player("b")] }));
+
+  assert.equal(applyAction(g, { type: "discard", playerId: "a", index: 3 }).error, null);
+});
+
+test("melds stay optional while the closed stack has cards", () => {
+  const g = draw(table({ players: [player("a", { hand: ["3♥", "4♥", "5♥", "9♣"] }), player("b")] }));
+
+  assert.equal(applyAction(g, { type: "discard", playerId: "a", index: 3 }).error, null);
+  assert.equal(applyAction(g, { type: "endTurn", playerId: "a" }).error, null);
+});
+
+test("a timed-out turn with nothing to draw is passed on by force", () => {
+  const g = table({ closed: [], open: [], players: [player("a", { hand: ["3♥", "9♣"] }), player("b")] });
+
+  assert.equal(autoPlayTurn(g, "a").error, "BAD_COUNT");
+
+  const { state, events, error } = applyAction(g, { type: "forceEndTurn", playerId: "a" });
+  assert.equal(error, null);
+  assert.equal(state.turn, 1);
+  assert.equal(state.players[0].hand.length, 2);
+  assert.deepEqual(events[0], { type: "forceEndTurn", playerId: "a", cardIds: [] });
+});
+
+test("a forced turn end throws back a drawn card even when melds are mandatory", () => {
+  const g = draw(table({ closed: [], players: [player("a", { hand: ["3♥", "4♥", "5♥", "9♣"] }), player("b")] }));
+
+  const { state, error } = applyAction(g, { type: "forceEndTurn", playerId: "a" });
+  assert.equal(error, null);
+  assert.equal(state.turn, 1);
+  assert.equal(state.players[0].hand.length, 4);
+  assert.equal(state.players[0].canDiscard, false);
+  assert.equal(state.open.at(-1).id, "3♥");
+});
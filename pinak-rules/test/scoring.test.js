@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { GOING_OUT_BONUS, applyAction, scoreRound } from "../index.js";
+import { player, table } from "./fixtures.js";
+
+// a (team 0) discards the last card and goes out
+function teamRound({ rules } = {}) {
+  return table({
+    teamMode: true,
+    rules,
+    players: [
+      player("a", { team: 0, hand: ["9♣"], openedSets: [["3♠", "4♠", "5♠"]], canDiscard: true }),
+      player("b", { team: 1, hand: ["K♦", "A♦"], openedSets: [["6♥", "7♥", "8♥"]] }),
+      player("c", { team: 0, hand: ["4♦", "5♣"] }),
+      player("d", { team: 1, hand: ["3♦"], openedSets: [["J♣", "Q♣", "K♣", "2♦"]] })
+    ]
+  });
+}
+
+test("team mode adds every partner's round result to one team score", () => {
+  const { state, events, error } = applyAction(teamRound(), { type: "discard", playerId: "a", index: 0 });
+  assert.equal(error, null);
+  assert.ok(events.some((e) => e.type === "roundOver" && e.playerId === "a"));
+
+  // a: 3 on the table + bonus; c never opened: -2 hand ×2; b: 3 - 3; d: 5 - 1
+  assert.deepEqual(state.teamScores, { 0: 3 + GOING_OUT_BONUS - 4, 1: 4 });
+  assert.deepEqual(
+    state.players.map((p) => p.score),
+    [9, 4, 9, 4]
+  );
+
+  const [sheet] = state.scoresheet;
+  assert.equal(sheet.winner, "a");
+  assert.deepEqual(
+    sheet.players.map((r) => [r.delta, r.multiplier, r.opened]),
+    [[13, 1, true], [0, 1, true], [-4, 2, false], [4, 1, true]]
+  );
+  assert.deepEqual(sheet.teams, [
+    { team: 0, delta: 9, total: 9 },
+    { team: 1, delta: 4, total: 4 }
+  ]);
+  assert.equal(state.gameOver, false);
+});
+
+test("a ×1 unopened penalty still marks who never opened", () => {
+  const { state } = applyAction(teamRound({ rules: { unopenedMultiplier: 1 } }), { type: "discard", playerId: "a", index: 0 });
+  const c = state.scoresheet[0].players[2];
+
+  assert.deepEqual([c.delta, c.multiplier, c.opened], [-2, 1, false]);
+});
+
+test("the game ends when a team reaches the target score", () => {
+  const g = teamRound({ rules: { winScore: 25 } });
+  g.teamScores = { 0: 20, 1: 0 };
+
+  const { state, events } = applyAction(g, { type: "discard", playerId: "a", index: 0 });
+  assert.equal(state.teamScores[0], 29);
+  assert.equal(state.gameOver, true);
+  assert.ok(events.some((e) => e.type === "gameOver"));
+});
+
+test("scoreRound keeps individual scores apart outside team mode", () => {
+  const g = table({
+    players: [
+      player("a", { hand: [], openedSets: [["3♠", "4♠", "5♠"]] }),
+      player("b", { hand: ["K♦"], openedSets: [["6♥", "7♥", "8♥"]], score: 10 })
+    ]
+  });
+  g.winner = "a";
+  g.winnerPid = "pid-a";
+
+  scoreRound(g);
+  assert.deepEqual(
+    g.players.map((p) => p.score),
+    [3 + GOING_OUT_BONUS, 12]
+  );
+  assert.equal(g.scoresheet[0].teams, null);
+});
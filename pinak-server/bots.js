@@ -0,0 +1,162 @@
+import {
+  INDEX,
+  validRun,
+  hasPureRun,
+  allowedRunOwners,
+  canOpenAnyRunFromHand,
+  canAddAnyCardToAllowedRuns,
+  mustPlayAllMeldsNow,
+  findMandatoryMeld,
+  rulesFor
+} from "pinak-rules";
+
+/* ---------- COMPUTER PLAYERS ---------- */
+
+export const BOT_LEVELS = ["easy", "normal", "hard"];
+
+const isJoker = (c) => c.value === "2";
+
+/**
+ * Best run that can be opened from `hand` (longest, pure preferred).
+ * With allowJoker=false only pure runs are considered.
+ * Returns card ids or null.
+ */
+function findRunInHand(hand, { allowJoker, rules }) {
+  const joker = allowJoker && rules.maxJokersPerRun > 0 ? hand.find(isJoker) : null;
+  let best = null;
+
+  const bySuit = {};
+  for (const c of hand) {
+    if (isJoker(c)) continue;
+    const list = (bySuit[c.suit] ||= []);
+    if (!list.some((x) => x.value === c.value)) list.push(c);
+  }
+
+  for (const cards of Object.values(bySuit)) {
+    cards.sort((a, b) => INDEX[a.value] - INDEX[b.value]);
+
+    for (let i = 0; i < cards.length; i++) {
+      for (let j = i + 1; j < cards.length; j++) {
+        const slice = cards.slice(i, j + 1);
+        const candidates = [slice];
+        if (joker) candidates.push([...slice, joker]);
+
+        for (const run of candidates) {
+          if (!validRun(run, rules)) continue;
+          const pure = !run.some(isJoker);
+          const better =
+            !best ||
+            run.length > best.length ||
+            (run.length === best.length && pure && best.some(isJoker));
+          if (better) best = run;
+        }
+      }
+    }
+  }
+
+  return best ? best.map((c) => c.id) : null;
+}
+
+// First single real card that extends a run this bot may add to.
+function findSingleAdd(g, me) {
+  if (!me.opened) return null;
+
+  for (const owner of allowedRunOwners(g, me)) {
+    const sets = owner.openedSets || [];
+    for (let runIndex = 0; runIndex < sets.length; runIndex++) {
+      for (const card of me.hand) {
+        if (isJoker(card)) continue;
+        if (validRun([...sets[runIndex], card], rulesFor(g))) {
+          return { type: "addToRun", targetPlayer: owner.id, runIndex, cardIds: [card.id] };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// How many same-suit cards sit within two ranks of `card` (jokers count as glue).
+function connectedness(hand, card) {
+  if (isJoker(card)) return 99;
+  return hand.filter(
+    (c) => c !== card && (isJoker(c) || (c.suit === card.suit && Math.abs(INDEX[c.value] - INDEX[card.value]) <= 2))
+  ).length;
+}
+
+function pickDraw(g, me, level) {
+  const top = g.open[g.open.length - 1];
+  if (!g.closed.length) return top ? { type: "drawOpen", count: 1 } : null;
+  if (level === "easy" || !top) return { type: "drawClosed" };
+
+  // normal: take the top open card when it plays straight onto an allowed run
+  if (canAddAnyCardToAllowedRuns(g, { ...me, hand: [top] })) return { type: "drawOpen", count: 1 };
+
+  // hard: also dig up to 3 deep when that unlocks a run we couldn't open before
+  const rules = rulesFor(g);
+  if (level === "hard" && !canOpenAnyRunFromHand(me.hand, rules)) {
+    for (let count = 1; count <= Math.min(3, g.open.length); count++) {
+      const taken = g.open.slice(-count);
+      if (hasPureRun([...me.hand, ...taken]) || canOpenAnyRunFromHand([...me.hand, ...taken], rules)) {
+        return { type: "drawOpen", count };
+      }
+    }
+  }
+
+  return { type: "drawClosed" };
+}
+
+function pickMeld(g, me, level) {
+  if (level !== "easy") {
+    // hard keeps its joker for later unless it is about to go out
+    const allowJoker = level === "normal" || me.hand.length <= 4;
+    const runIds = findRunInHand(me.hand, { allowJoker, rules: rulesFor(g) });
+    if (runIds) return { type: "openRun", cardIds: runIds };
+
+    const add = findSingleAdd(g, me);
+    if (add) return add;
+  }
+
+  // everyone respects the closed-stack-empty mandatory meld rule
+  return mustPlayAllMeldsNow(g, me) ? findMandatoryMeld(g, me) || null : null;
+}
+
+function pickDiscardIndex(me, level) {
+  const options = me.hand
+    .map((card, index) => ({ card, index }))
+    .filter(({ card }) => card.id !== me.noDiscardCardId);
+  if (!options.length) return -1;
+
+  if (level === "easy") return options[Math.floor(Math.random() * options.length)].index;
+
+  const score = ({ card }) =>
+    level === "hard"
+      ? // least connected first, heavier penalty breaks ties
+        connectedness(me.hand, card) * 10 - (card.points || 0)
+      : // normal: dump the heaviest, then highest rank
+        -(card.points || 0) * 100 - (INDEX[card.value] ?? -1);
+
+  options.sort((a, b) => score(a) - score(b));
+  return options[0].index;
+}
+
+/**
+ * Next single action for the bot whose turn it is, as an applyAction payload
+ * (without playerId), or null when there is nothing it can do (both stacks
+ * empty). The server applies one step at a time with a delay so the table can
+ * follow along, and auto-plays the turn when a step is missing or rejected.
+ */
+export function nextBotAction(g, bot) {
+  const level = BOT_LEVELS.includes(bot.bot) ? bot.bot : "normal";
+
+  if (!bot.canDiscard) return pickDraw(g, bot, level);
+
+  const meld = pickMeld(g, bot, level);
+  if (meld) return meld;
+
+  if (bot.hand.length === 0) return { type: "playerWentOut" };
+
+  const index = pickDiscardIndex(bot, level);
+  if (index >= 0) return { type: "discard", index };
+
+  return { type: "endTurn" };
+}
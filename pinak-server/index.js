@@ -2,7 +2,22 @@ import express from "express";
 import http from "http";
 import { Server } from "socket.io";
 import cors from "cors";
+import { createHash, createHmac, randomBytes, scryptSync, timingSafeEqual } from "crypto";
 import { v4 as uuid } from "uuid";
+import {
+  buildDeck,
+  shuffleCards,
+  cardFromRun,
+  normalizeRules,
+  rulesFor,
+  nextTurnIndex,
+  applyAction,
+  autoPlayTurn,
+  CHAT_REACTIONS,
+  ERROR_MESSAGES
+} from "pinak-rules";
+import { createStorage } from "./storage/index.js";
+import { BOT_LEVELS, nextBotAction } from "./bots.js";
 
 const app = express();
 app.use(cors());
@@ -17,64 +32,61 @@ const io = new Server(server, {
   pingTimeout: 60000,  // allow up to 60s before disconnect
 });
 
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => console.log("Server running on", PORT));
-
-/* ---------- CONSTANTS ---------- */
-
-const SUITS = ["♠", "♥", "♦", "♣"];
-const ORDER = ["3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
-const INDEX = Object.fromEntries(ORDER.map((v, i) => [v, i]));
-const WIN_SCORE = 151;
-
-const HAND_SIZE = 9;
-
 /* ---------- HELPERS ---------- */
 
-function nextTurnIndex(g, fromIndex) {
-  const n = g?.players?.length || 0;
-  if (!g || n <= 1) return 0;
+/* ---------- DECK SEED (commit-reveal) ---------- */
 
-  // normal mode = simple rotation
-  if (!g.teamMode) return (fromIndex + 1) % n;
+// DECK_SEED pins every deal (per room + round) so a reported deal can be reproduced
+const DECK_SEED = process.env.DECK_SEED || "";
 
-  const currTeam = g.players[fromIndex]?.team;
+const sha256 = (text) => createHash("sha256").update(text).digest("hex");
 
-  // fallback safety
-  if (currTeam !== 0 && currTeam !== 1) {
-    return (fromIndex + 1) % n;
-  }
+/**
+ * Picks the seed for a new round and returns its deck. Only the hash is
+ * published while the round runs; projectState reveals the seed once it ends.
+ */
+function dealDeck(g, roundNo) {
+  const seed = DECK_SEED
+    ? sha256(`${DECK_SEED}:${g.room}:${roundNo}`)
+    : randomBytes(32).toString("hex");
+
+  g.deckSeed = seed;
+  g.deckHash = sha256(seed);
+  return buildDeck(seed, rulesFor(g));
+}
 
-  // pick next player from the OTHER team
-  for (let step = 1; step <= n; step++) {
-    const idx = (fromIndex + step) % n;
-    const t = g.players[idx]?.team;
-    if (t === 0 || t === 1 && t !== currTeam) {
-      return idx;
-    }
-  }
+// Fresh deck and hands for every seat (scores untouched).
+function dealRound(g, roundNo) {
+  const deck = dealDeck(g, roundNo);
+  g.closed = deck;
+  g.open = [deck.pop()];
 
-  // worst-case fallback
-  return (fromIndex + 1) % n;
-}
+  g.players.forEach((p) => {
+    p.hand = deck.splice(0, rulesFor(g).handSize);
+    p.openedSets = [];
+    p.opened = false;
+    p.mustDiscard = false;
+    p.canDiscard = false;
+    p.noDiscardCardId = null;
+    p.undoStack = [];
+  });
 
-function buildDeck() {
-  const deck = [];
-  for (const s of SUITS) {
-    for (const v of ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"]) {
-      deck.push({
-        id: uuid(),
-        value: v,
-        suit: s,
-        points: v === "A" || v === "2" ? 2 : 1
-      });
-    }
-  }
-  return deck.sort(() => Math.random() - 0.5);
+  g.roundOver = false;
+  g.winner = null;
+  g.winnerPid = null;
+  g.roundNo = roundNo;
+
+  // deck-exhaustion bookkeeping starts over with every deal
+  g.stallTurns = 0;
+  g.reshuffles = 0;
+  g.exhausted = false;
 }
 
-function maskHand(hand) {
-  return hand.map(() => ({ value: "?", suit: "?" }));
+// Host's pick for the next starter wins over the usual dealer rotation.
+function applyNextStarter(g) {
+  const idx = g.players.findIndex((p) => p.pid === g.nextStarterPid);
+  g.nextStarterPid = null;
+  if (idx >= 0) g.turn = idx;
 }
 
 function initialFor(name) {
@@ -110,6 +122,362 @@ function syncTeams(g) {
   });
 }
 
+/* ---------- HISTORY (event-sourced action log) ---------- */
+
+// Everything the reducer needs to re-run a round, minus private ids.
+function snapshotFor(g) {
+  return structuredClone({
+    teamMode: g.teamMode,
+    rules: rulesFor(g),
+    teamScores: g.teamScores,
+    dealerIndex: g.dealerIndex,
+    turn: g.turn,
+    roundNo: g.roundNo,
+    roundOver: g.roundOver,
+    winner: g.winner,
+    gameOver: g.gameOver,
+    open: g.open,
+    closed: g.closed,
+    // replays only go out after the game, and a stalemate reshuffle is keyed off the seed
+    deckSeed: g.deckSeed ?? null,
+    stallTurns: g.stallTurns || 0,
+    reshuffles: g.reshuffles || 0,
+    turnMelded: !!g.turnMelded,
+    players: g.players.map((p) => ({
+      id: p.id,
+      name: p.name,
+      team: p.team,
+      hand: p.hand,
+      openedSets: p.openedSets,
+      opened: p.opened,
+      mustDiscard: p.mustDiscard,
+      canDiscard: p.canDiscard,
+      noDiscardCardId: p.noDiscardCardId ?? null,
+      // a mid-turn "seat" snapshot must keep the mover's undo checkpoint
+      undoStack: p.undoStack || [],
+      score: p.score
+    }))
+  });
+}
+
+function pushHistory(g, entry) {
+  if (!g.history) g.history = [];
+  g.history.push({ seq: g.history.length + 1, ts: Date.now(), ...entry });
+}
+
+// "deal" starts a round; "seat" covers newcomers dealt from the closed stack.
+function recordSnapshot(g, type) {
+  pushHistory(g, { type, round: g.roundNo || 1, snapshot: snapshotFor(g) });
+}
+
+function scoreDeltas(prev, next) {
+  const out = next.teamMode
+    ? [0, 1].map((team) => ({
+        team,
+        delta: (next.teamScores?.[team] || 0) - (prev.teamScores?.[team] || 0)
+      }))
+    : next.players.map((p, seat) => ({
+        seat,
+        name: p.name,
+        delta: (p.score || 0) - (prev.players[seat]?.score || 0)
+      }));
+
+  return out.some((x) => x.delta !== 0) ? out : null;
+}
+
+/**
+ * One accepted action. Seats (not socket ids) identify players so a replay
+ * can re-run it against the round's snapshot after reconnects.
+ */
+function recordAction(prev, next, action, events) {
+  const seat = prev.turn;
+  const targetSeat =
+    action.targetPlayer != null ? prev.players.findIndex((p) => p.id === action.targetPlayer) : null;
+  const { playerId, targetPlayer, ...payload } = action;
+
+  pushHistory(next, {
+    type: action.type,
+    seat,
+    actor: prev.players[seat]?.name,
+    action: { ...payload, ...(targetSeat != null ? { targetSeat } : {}) },
+    cardIds: events.flatMap((e) => e.cardIds || []),
+    count: action.count ?? null,
+    target: targetSeat != null ? { seat: targetSeat, runIndex: action.runIndex } : null,
+    events,
+    scoreDeltas: scoreDeltas(prev, next)
+  });
+}
+
+// Runs the reducer (or auto-play) on a room without cloning its history, then records it.
+function applyTracked(room, action) {
+  const g = games[room];
+  const { history, lastGameHistory, ...core } = g;
+
+  const res =
+    action.type === "autoPlay" ? autoPlayTurn(core, action.playerId) : applyAction(core, action);
+  if (res.error) return res;
+
+  res.state.history = history || [];
+  res.state.lastGameHistory = lastGameHistory;
+  recordAction(g, res.state, action, res.events);
+
+  if (!g.roundOver && res.state.roundOver) tallyRound(res.state);
+  if (!g.gameOver && res.state.gameOver) recordMatch(res.state);
+
+  games[room] = res.state;
+  return res;
+}
+
+/* ---------- SEATING ---------- */
+
+// Deals a newcomer in from the closed stack (humans and bots alike).
+function seatPlayer(g, player) {
+  const prevLen = g.players.length;
+
+  g.players.push({
+    hand: g.closed.splice(0, rulesFor(g).handSize),
+    openedSets: [],
+    opened: false,
+    mustDiscard: false,
+    canDiscard: false,
+    score: 0,
+    timeBankMs: (g.timer?.timeBankSeconds || 0) * 1000,
+    ...player
+  });
+
+  // ✅ set Round 1 starting turn once (when the room first reaches 2 players)
+  if (
+    prevLen === 1 &&
+    g.players.length >= 2 &&
+    g.players.every((pp) => !pp.canDiscard && !pp.mustDiscard) &&
+    !g.roundOver &&
+    !g.gameOver
+  ) {
+    g.turn = nextTurnIndex(g, g.dealerIndex);
+  }
+
+  recordSnapshot(g, "seat");
+}
+
+// Returns an error code, or null once the bot is seated.
+function seatBot(g, level) {
+  if (g.players.length >= 4) return "TABLE_FULL";
+
+  let team = null;
+  if (g.teamMode) {
+    const pick = pickTeamOrReject(g, null);
+    if (!pick.ok) return pick.code;
+    team = pick.team;
+  }
+
+  const bot = BOT_LEVELS.includes(level) ? level : "normal";
+  const label = bot[0].toUpperCase() + bot.slice(1);
+  const n = g.players.filter((p) => p.bot).length + 1;
+
+  seatPlayer(g, {
+    id: `bot:${uuid()}`,
+    pid: uuid(),
+    name: `🤖 ${label} Bot ${n}`,
+    bot,
+    team,
+    status: "connected",
+    lastSeen: Date.now()
+  });
+
+  g.log.push(`${label} bot joined the room`);
+  return null;
+}
+
+/* ---------- PRESENCE ---------- */
+
+// status: "connected" (socket bound) | "away" (socket dropped) | "left" (went back to lobby)
+// An away host keeps the role this long before it moves on (see syncHost).
+const HOST_GRACE_MS = Number(process.env.HOST_GRACE_SECONDS || 60) * 1000;
+
+function setPresence(p, status) {
+  p.status = status;
+  p.lastSeen = Date.now();
+}
+
+/* ---------- ROOM PASSWORDS + INVITES ---------- */
+
+const INVITE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// stored as "salt:hash" (scrypt), never the password itself
+function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex");
+  return `${salt}:${scryptSync(password, salt, 32).toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = String(stored).split(":");
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = scryptSync(String(password), salt, expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function passwordGate(g, password) {
+  if (!g.passwordHash) return null;
+  if (!password) return "PASSWORD_REQUIRED";
+  return verifyPassword(password, g.passwordHash) ? null : "WRONG_PASSWORD";
+}
+
+// invites are one seat each; only their hash is kept (and persisted)
+function findInvite(g, token) {
+  if (!token) return null;
+  const hash = sha256(String(token));
+  return (g.invites || []).find((x) => x.hash === hash && x.expiresAt > Date.now()) || null;
+}
+
+/* ---------- SESSIONS ---------- */
+
+// SESSION_SECRET (env, or kept by the storage backend) is defined with the storage below
+const signSession = (id) => createHmac("sha256", SESSION_SECRET).update(id).digest("base64url");
+
+// exact match on a stored pid (or a profile's token key): whoever presents it already owns that seat
+const tokenInUse = (token) =>
+  profileIdForToken(token) != null ||
+  Object.values(games).some(
+    (g) =>
+      g.players.some((p) => p.pid === token) ||
+      (g.spectators || []).some((sp) => sp.pid === token) ||
+      !!g.kickedPids?.includes(token)
+  );
+
+/**
+ * A player's secret session token ("<random id>.<hmac>"), kept as p.pid.
+ * Only this client's localStorage ever gets it (via youAre); the table only
+ * sees p.id. A token we did not mint (and that holds no seat) is replaced by
+ * a fresh one.
+ */
+function sessionToken(presented) {
+  if (typeof presented !== "string" || !presented) return freshToken();
+
+  const [id, sig] = presented.split(".");
+  if (id && sig) {
+    const actual = Buffer.from(sig);
+    const expected = Buffer.from(signSession(id));
+    if (actual.length === expected.length && timingSafeEqual(actual, expected)) return presented;
+  }
+
+  // signed under an older secret: keep it while it still holds a seat, never seat its owner twice
+  return tokenInUse(presented) ? presented : freshToken();
+}
+
+function freshToken() {
+  const fresh = randomBytes(18).toString("base64url");
+  return `${fresh}.${signSession(fresh)}`;
+}
+
+// move a seat (or spectator slot) onto this socket; the tab that held it is told why it lost it
+function bindSocket(p, room, socket) {
+  const previous = p.id !== socket.id ? io.sockets.sockets.get(p.id) : null;
+  if (previous) {
+    previous.leave(room);
+    previous.emit("superseded", { room });
+  }
+
+  p.id = socket.id;
+  p.ipKey = ipKey(clientIp(socket));
+  setPresence(p, "connected");
+  socket.join(room);
+}
+
+// the seat (or spectator slot) this socket holds in g, if any; knowing a room code is not enough
+const memberOf = (g, socketId) =>
+  g.players.find((x) => x.id === socketId) || (g.spectators || []).find((x) => x.id === socketId) || null;
+
+/* ---------- HOST ---------- */
+
+/**
+ * The creator hosts; when the host leaves, stays away past HOST_GRACE_SECONDS
+ * (or is missing from an older save) the first connected human in seat order
+ * takes over.
+ */
+function syncHost(g) {
+  const host = g.players.find((p) => p.pid === g.hostPid);
+  const away = host?.status === "away" && Date.now() - (host.lastSeen || 0) >= HOST_GRACE_MS;
+  if (host && host.status !== "left" && !away) return;
+
+  const next = g.players.find((p) => !p.bot && p.status === "connected");
+  if (!next || next === host) return;
+
+  g.hostPid = next.pid;
+  g.log.push(`${next.name} is now the host`);
+}
+
+// Returns an error code unless `socketId` may use host controls.
+// lenient: round flow keeps moving while the host is offline.
+function hostGate(g, socketId, { lenient = false } = {}) {
+  const me = g.players.find((p) => p.id === socketId);
+  if (!me) return "NOT_IN_ROOM";
+  if (me.pid === g.hostPid) return null;
+
+  const host = g.players.find((p) => p.pid === g.hostPid);
+  if (lenient && host?.status !== "connected") return null;
+  return "NOT_HOST";
+}
+
+// an away host can't hold the room forever: re-check once the grace period is up
+function checkHost(room) {
+  const g = games[room];
+  if (!g) return;
+
+  const before = g.hostPid;
+  syncHost(g);
+  if (g.hostPid !== before) emit(room);
+}
+
+/**
+ * A kick holds against more than the seat token: a fresh token would walk
+ * straight back in. The profile and the name-plus-address key catch that.
+ */
+const nameIpKey = (name, ipk) => sha256(`ban:${String(name || "").trim().toLowerCase()}:${ipk}`).slice(0, 16);
+
+function banPlayer(g, p) {
+  g.kickedPids = [...(g.kickedPids || []), p.pid];
+  g.kickedKeys = [...(g.kickedKeys || []), profileIdOf(p), ...(p.ipKey ? [nameIpKey(p.name, p.ipKey)] : [])];
+}
+
+function isKicked(g, pid, name, ipk) {
+  if (g.kickedPids?.includes(pid)) return true;
+  const keys = g.kickedKeys || [];
+  const profileId = profileIdForToken(pid);
+  return (profileId != null && keys.includes(profileId)) || keys.includes(nameIpKey(name, ipk));
+}
+
+/**
+ * Takes a seat away mid-game. mode "return": their hand and runs go back into
+ * the closed stack, which is reshuffled. mode "redeal": the round starts over.
+ */
+function removePlayer(g, index, mode) {
+  const [gone] = g.players.splice(index, 1);
+
+  // keep turn/dealer pointing at the same people
+  if (index < g.turn) g.turn--;
+  if (index < g.dealerIndex) g.dealerIndex--;
+  if (g.players.length) {
+    g.turn %= g.players.length;
+    g.dealerIndex = Math.max(0, g.dealerIndex) % g.players.length;
+  }
+
+  const inRound = !g.roundOver && !g.gameOver;
+  if (inRound && mode === "redeal") {
+    dealRound(g, g.roundNo || 1);
+    g.turn = nextTurnIndex(g, g.dealerIndex);
+    recordSnapshot(g, "deal");
+  } else {
+    if (inRound) {
+      g.closed.push(...gone.hand, ...gone.openedSets.flat().map(cardFromRun));
+      shuffleCards(g.closed, randomBytes(32).toString("hex"));
+    }
+    recordSnapshot(g, "seat");
+  }
+
+  return gone;
+}
+
 function teamCount(g, teamId) {
   return g.players.filter((p) => p.team === teamId).length;
 }
@@ -122,7 +490,7 @@ function pickTeamOrReject(g, requestedTeam) {
 
   // If requested explicitly, enforce max 2
   if (want !== null) {
-    if (teamCount(g, want) >= 2) return { ok: false, msg: "That team is full (max 2 players)." };
+    if (teamCount(g, want) >= 2) return { ok: false, code: "TEAM_FULL" };
     return { ok: true, team: want };
   }
 
@@ -134,286 +502,719 @@ function pickTeamOrReject(g, requestedTeam) {
   if (c0 < 2) return { ok: true, team: 0 };
   if (c1 < 2) return { ok: true, team: 1 };
 
-  return { ok: false, msg: "Both teams are full (2v2 max)." };
+  return { ok: false, code: "TEAMS_FULL" };
+}
+/* ---------- GAME STATE ---------- */
+
+const storage = await createStorage();
+
+// session tokens must outlive a restart wherever rooms do, so the secret lives with the storage
+const SESSION_SECRET = process.env.SESSION_SECRET || (await storage.sessionSecret());
+
+// rooms survive restarts: players rebind to their seat via reconnectRoom(pid)
+const games = await storage.loadAll();
+
+for (const g of Object.values(games)) {
+  (g.spectators || []).forEach((sp) => setPresence(sp, "away"));
+  g.players.forEach((p) => {
+    if (p.bot) setPresence(p, "connected");
+    else if (p.status !== "left") setPresence(p, "away");
+  });
 }
-/* ---------- HOUSE RULE HELPERS ---------- */
 
-// Pure run = 3+ consecutive cards of same suit with NO jokers ("2")
-function hasPureRun(hand) {
-  if (!Array.isArray(hand) || hand.length < 3) return false;
+// idle rooms (nobody connected for ROOM_IDLE_MINUTES) are freed by the sweep below
+const ROOM_IDLE_MS = Number(process.env.ROOM_IDLE_MINUTES || 30) * 60_000;
 
-  // group by suit, ignore jokers (value === "2")
-  const bySuit = {};
-  for (const c of hand) {
-    if (!c || c.value === "2") continue;
-    (bySuit[c.suit] ||= []).push(INDEX[c.value]);
+function saveRoom(room) {
+  const g = games[room];
+  if (!g) return;
+  storage.save(room, g).catch((err) => console.error("Failed to save room", room, err));
+}
+
+function removeRoom(room) {
+  // a clock or bot step still pending must not fire for a room that's gone
+  for (const timers of [turnTimers, botTimers]) {
+    clearTimeout(timers.get(room));
+    timers.delete(room);
   }
 
-  // check any suit has 3+ consecutive
-  for (const suit of Object.keys(bySuit)) {
-    const arr = bySuit[suit].sort((a, b) => a - b);
-    let streak = 1;
-    for (let i = 1; i < arr.length; i++) {
-      if (arr[i] === arr[i - 1] + 1) streak++;
-      else if (arr[i] !== arr[i - 1]) streak = 1;
+  delete games[room];
+  storage.remove(room).catch((err) => console.error("Failed to remove room", room, err));
+  touchLobby();
+}
 
-      if (streak >= 3) return true;
-    }
+/* ---------- PROFILES (match history + stats) ---------- */
+
+const MATCHES_KEPT = 50;
+
+const profiles = await storage.loadProfiles();
+
+// a token reaches its profile through this hash only; the profile id never derives from it again
+const tokenKey = (pid) => sha256(`profile:${pid}`).slice(0, 16);
+
+// token key -> profile id, rebuilt at boot from the profiles and the seats in saved rooms
+const profileKeys = new Map();
+for (const profile of Object.values(profiles)) {
+  // profiles from before keys were stored took their first token's key as their id
+  (profile.keys ||= [profile.id]).forEach((key) => profileKeys.set(key, profile.id));
+}
+
+/**
+ * The profile a seat plays under: its token's profile, or a fresh id, fixed on
+ * the seat the first time it is asked for and never changed after.
+ */
+function profileIdOf(p) {
+  if (!p.profileId) {
+    p.profileId = profileKeys.get(tokenKey(p.pid)) || randomBytes(8).toString("hex");
+    profileKeys.set(tokenKey(p.pid), p.profileId);
   }
-  return false;
+  return p.profileId;
 }
 
-// Can current player legally add something to ANY run they are allowed to add to?
-function canAddToAnyRun(g, me) {
-  if (!g || !me) return false;
-  if (!me.opened) return false; // your existing rule: must have opened before adding
-  if (!Array.isArray(me.hand) || me.hand.length === 0) return false;
+const profileIdForToken = (token) => profileKeys.get(tokenKey(token)) ?? null;
 
-  // Which runs are legal targets for this player?
-  const owners = g.teamMode
-    ? g.players.filter((p) => p.team === me.team)
-    : [me];
+// restored seats whose profile isn't saved yet (no finished game) are still found by token
+for (const g of Object.values(games)) {
+  [...g.players, ...(g.spectators || [])].forEach((p) => {
+    if (p.profileId && !profileKeys.has(tokenKey(p.pid))) profileKeys.set(tokenKey(p.pid), p.profileId);
+  });
+}
 
-  // Try to find ANY legal add:
-  // - any single real card
-  // - any single joker onto a run that already had a joker
-  // - joker+real pair for adding joker to a run that had no joker (your existing constraint)
-  const hand = me.hand;
+function profileFor(id, name) {
+  const profile = (profiles[id] ||= {
+    id,
+    name,
+    keys: [...profileKeys].filter(([, owner]) => owner === id).map(([key]) => key),
+    createdAt: Date.now(),
+    rating: RATING_START,
+    ratedGames: 0,
+    ratedWins: 0,
+    totals: { games: 0, wins: 0, rounds: 0, roundsWon: 0, points: 0, unopenedCaught: 0 },
+    opponents: {},
+    matches: []
+  });
+  if (name) profile.name = name;
+  return profile;
+}
 
-  for (const owner of owners) {
-    const sets = owner.openedSets || [];
-    for (let runIndex = 0; runIndex < sets.length; runIndex++) {
-      const original = sets[runIndex];
-      if (!Array.isArray(original) || original.length < 3) continue;
+// After every round: tallies for the game in progress, keyed by profile id (server-only).
+function tallyRound(g) {
+  const round = g.scoresheet?.[g.scoresheet.length - 1];
+  if (!round) return;
+  if (!g.matchStats) g.matchStats = {};
+
+  // scoresheet rows are in seat order at scoring time
+  g.players.forEach((p, i) => {
+    const row = round.players[i];
+    if (p.bot || !row) return;
+
+    const stats = (g.matchStats[profileIdOf(p)] ||= { rounds: 0, roundsWon: 0, points: 0, unopenedCaught: 0 });
+    stats.rounds++;
+    if (row.bonus) stats.roundsWon++;
+    stats.points += row.delta;
+    if (!row.bonus && !row.opened) stats.unopenedCaught++;
+  });
+}
 
-      const hadJoker = original.some((c) => c.value === "2");
+/* ---------- RATINGS (Elo) ---------- */
 
-      // 1) single-card adds
-      for (const card of hand) {
-        if (!card) continue;
+const RATING_START = 1500;
+const RATING_K = 32;
+const LEADERBOARD_SIZE = 20;
 
-        // adding a joker to a run with no joker is NOT legal alone (per your rule)
-        if (card.value === "2" && !hadJoker) continue;
+const expectedScore = (ra, rb) => 1 / (1 + 10 ** ((rb - ra) / 400));
+const outcome = (a, b) => (a > b ? 1 : a < b ? 0 : 0.5);
 
-        const combined = [...original, card];
-        if (validRun(combined)) return true;
-      }
+/**
+ * Rating change per human at a finished table (bots are never rated).
+ * Individual: every pair of humans is a mini-match, K split over the opponents.
+ * Team: the sides' average ratings play one match; both members get its result.
+ */
+function ratingDeltas(g, humans) {
+  const ratingOf = (p) => profiles[profileIdOf(p)]?.rating ?? RATING_START;
+  const deltas = new Map(humans.map((p) => [p, 0]));
 
-      // 2) joker+real pair add (only relevant when run had no joker)
-      if (!hadJoker) {
-        const jokers = hand.filter((c) => c.value === "2");
-        const reals = hand.filter((c) => c.value !== "2");
-
-        if (jokers.length && reals.length) {
-          for (const j of jokers) {
-            for (const r of reals) {
-              const combined = [...original, j, r];
-              if (validRun(combined)) return true;
-            }
-          }
-        }
-      }
-    }
+  if (g.teamMode) {
+    const sides = [0, 1].map((team) => humans.filter((p) => p.team === team));
+    if (!sides[0].length || !sides[1].length) return deltas;
+
+    const avg = (side) => side.reduce((sum, p) => sum + ratingOf(p), 0) / side.length;
+    const d = RATING_K * (outcome(g.teamScores[0], g.teamScores[1]) - expectedScore(avg(sides[0]), avg(sides[1])));
+    // round once: Math.round(-d) !== -Math.round(d) at .5, which would mint or burn a point
+    const r = Math.round(d);
+    sides[0].forEach((p) => deltas.set(p, r));
+    sides[1].forEach((p) => deltas.set(p, -r));
+    return deltas;
   }
 
-  return false;
-}
+  if (humans.length < 2) return deltas;
 
-// Master rule gate used by discard/endTurn:
-// When closed is empty, block discard/endTurn if mandatory actions exist
-function mustPlayAllMeldsNow(g, p) {
-  if (!g || !p) return false;
+  const k = RATING_K / (humans.length - 1);
+  for (const a of humans) {
+    let d = 0;
+    for (const b of humans) {
+      if (a !== b) d += k * (outcome(a.score, b.score) - expectedScore(ratingOf(a), ratingOf(b)));
+    }
+    deltas.set(a, Math.round(d));
+  }
+  return deltas;
+}
 
-  // Only applies once closed stack is empty
-  if ((g.closed?.length || 0) !== 0) return false;
+// At gameOver: one match record per human, plus head-to-head against the other side.
+function recordMatch(g) {
+  const humans = g.players.filter((p) => !p.bot);
+  const best = g.teamMode
+    ? Math.max(g.teamScores?.[0] ?? 0, g.teamScores?.[1] ?? 0)
+    : Math.max(...g.players.map((p) => p.score));
+  const won = (p) => (g.teamMode ? g.teamScores?.[p.team] === best : p.score === best);
+  const finalScores = g.players.map((p) => ({ name: p.name, team: p.team ?? null, score: p.score }));
+
+  // a game only moves ratings when there was a human on the other side
+  const deltas = ratingDeltas(g, humans);
+  const rated = g.teamMode
+    ? humans.some((p) => p.team === 0) && humans.some((p) => p.team === 1)
+    : humans.length > 1;
+
+  humans.forEach((p) => {
+    const id = profileIdOf(p);
+    const profile = profileFor(id, p.name);
+    const stats = g.matchStats?.[id] || { rounds: 0, roundsWon: 0, points: 0, unopenedCaught: 0 };
+
+    if (rated) {
+      const before = profile.rating ?? RATING_START;
+      profile.rating = before + deltas.get(p);
+      profile.ratedGames = (profile.ratedGames || 0) + 1;
+      if (won(p)) profile.ratedWins = (profile.ratedWins || 0) + 1;
+      p.ratingChange = { before, after: profile.rating, delta: deltas.get(p) };
+    }
 
-  // Must have drawn this turn (consistent with your server: open/add requires canDiscard)
-  if (!p.canDiscard) return false;
+    const t = profile.totals;
+    t.games++;
+    if (won(p)) t.wins++;
+    t.rounds += stats.rounds;
+    t.roundsWon += stats.roundsWon;
+    t.points += stats.points;
+    t.unopenedCaught += stats.unopenedCaught;
+
+    humans
+      .filter((o) => o !== p && (!g.teamMode || o.team !== p.team))
+      .forEach((o) => {
+        const h2h = (profile.opponents[profileIdOf(o)] ||= { name: o.name, games: 0, wins: 0, losses: 0 });
+        h2h.name = o.name;
+        h2h.games++;
+        if (won(p) && !won(o)) h2h.wins++;
+        if (won(o) && !won(p)) h2h.losses++;
+      });
 
-  // Add-to-run mandatory if any add exists
-  if (canAddToAnyRun(g, p)) return true;
+    profile.matches = [
+      {
+        room: g.room,
+        mode: g.teamMode ? "team" : "solo",
+        endedAt: Date.now(),
+        won: won(p),
+        teammates: g.teamMode ? g.players.filter((o) => o !== p && o.team === p.team).map((o) => o.name) : [],
+        finalScores,
+        ratingDelta: rated ? deltas.get(p) : null,
+        ...stats
+      },
+      ...profile.matches
+    ].slice(0, MATCHES_KEPT);
+    profile.updatedAt = Date.now();
+
+    storage.saveProfile(id, profile).catch((err) => console.error("Failed to save profile", id, err));
+  });
 
-  // Create-run mandatory ONLY if there exists a pure run in hand (no jokers)
-  if (hasPureRun(p.hand || [])) return true;
+  g.matchStats = {};
+}
 
-  return false;
+/* ---------- LOBBY (public room browser) ---------- */
+
+// sockets in this channel get "roomList" whenever a public room changes
+const LOBBY = "lobby";
+
+// pronounceable + a number, skipping look-alike letters: "MOLA-38"
+const CODE_CONSONANTS = "BDFGHKMNPRSTVZ";
+const CODE_VOWELS = "AEIOU";
+
+function generateRoomCode() {
+  for (;;) {
+    const b = randomBytes(5);
+    const code =
+      CODE_CONSONANTS[b[0] % CODE_CONSONANTS.length] +
+      CODE_VOWELS[b[1] % CODE_VOWELS.length] +
+      CODE_CONSONANTS[b[2] % CODE_CONSONANTS.length] +
+      CODE_VOWELS[b[3] % CODE_VOWELS.length] +
+      `-${10 + (b[4] % 90)}`;
+    if (!games[code]) return code;
+  }
 }
 
-/* ---------- RUN VALIDATION ---------- */
+// typed codes: exact match first, then ignoring case and stray spaces
+function resolveRoom(code) {
+  const raw = String(code ?? "");
+  if (games[raw]) return raw;
 
-function validRun(cards) {
-  if (!Array.isArray(cards) || cards.length < 3) return false;
+  const want = raw.trim().toUpperCase();
+  return Object.keys(games).find((r) => r.trim().toUpperCase() === want) ?? raw.trim();
+}
 
-  const real = cards.filter((c) => c.value !== "2");
-  const jokers = cards.length - real.length;
+function roomSummary(g) {
+  const humans = g.players.filter((p) => !p.bot);
+  return {
+    room: g.room,
+    teamMode: !!g.teamMode,
+    seats: g.players.length,
+    maxSeats: 4,
+    teamSeats: g.teamMode ? { 0: teamCount(g, 0), 1: teamCount(g, 1) } : null,
+    bots: g.players.length - humans.length,
+    spectators: (g.spectators || []).length,
+    inRound: !g.roundOver && !g.gameOver && g.players.length >= 2,
+    locked: !!g.locked,
+    hasPassword: !!g.passwordHash,
+    host: g.players.find((p) => p.pid === g.hostPid)?.name ?? null,
+    winScore: rulesFor(g).winScore
+  };
+}
 
-// ✅ max 1 joker per run
-if (jokers > 1) return false;
+function publicRooms() {
+  return Object.values(games)
+    .filter((g) => g.public && g.players.some((p) => !p.bot && p.status === "connected"))
+    .map(roomSummary);
+}
 
-  // need at least 2 real cards
-  if (real.length < 2) return false;
+// coalesces bursts of table updates into one list push
+let lobbyTimer = null;
+function touchLobby() {
+  if (lobbyTimer) return;
+  lobbyTimer = setTimeout(() => {
+    lobbyTimer = null;
+    io.to(LOBBY).emit("roomList", { rooms: publicRooms() });
+  }, 500);
+}
 
-  // same suit among real cards
-  const suit = real[0].suit;
-  if (!real.every((c) => c.suit === suit)) return false;
+setInterval(() => {
+  const now = Date.now();
+  for (const [room, g] of Object.entries(games)) {
+    // also covers hosts that were already away when the server restarted
+    checkHost(room);
 
-  const idx = real.map((c) => INDEX[c.value]).sort((a, b) => a - b);
+    // bots never keep a room alive on their own
+    const humans = [...g.players.filter((p) => !p.bot), ...(g.spectators || [])];
+    if (humans.some((p) => p.status === "connected")) continue;
 
-  let gaps = 0;
-  for (let i = 1; i < idx.length; i++) {
-    const diff = idx[i] - idx[i - 1] - 1;
-    if (diff < 0) return false;
-    gaps += diff;
+    const lastSeen = Math.max(0, ...humans.map((p) => p.lastSeen || 0));
+    if (now - lastSeen >= ROOM_IDLE_MS) {
+      console.log("Expiring idle room", room);
+      removeRoom(room);
+    }
   }
+}, 60_000).unref();
+
+const PORT = process.env.PORT || 3001;
+server.listen(PORT, () =>
+  console.log("Server running on", PORT, `(${storage.kind} storage, ${Object.keys(games).length} rooms restored)`)
+);
+
+/* ---------- TURN TIMER ---------- */
 
-  return gaps <= jokers;
+// room -> pending timeout (never persisted; re-armed from g.turnDeadline at boot)
+const turnTimers = new Map();
+
+function clampSeconds(v) {
+  const n = Math.floor(Number(v) || 0);
+  return Math.max(0, Math.min(600, n));
 }
 
-/* ---------- RUN NORMALIZATION (joker placement) ---------- */
+function scheduleTurnTimeout(room) {
+  clearTimeout(turnTimers.get(room));
+  turnTimers.delete(room);
+
+  const g = games[room];
+  if (!g?.turnDeadline) return;
 
-function normalizeRun(cards) {
-  // assumes validRun(cards) is true
-  const jokers = cards.filter((c) => c.value === "2");
-  const real = cards
-    .filter((c) => c.value !== "2")
-    .sort((a, b) => INDEX[a.value] - INDEX[b.value]);
+  const ms = Math.max(0, g.turnDeadline - Date.now());
+  turnTimers.set(room, setTimeout(() => onTurnTimeout(room), ms));
+}
 
-  if (real.length === 0) return cards;
+function syncTurnTimer(room) {
+  const g = games[room];
+  if (!g) return;
 
-  const suit = real[0].suit;
-  const realIdx = real.map((c) => INDEX[c.value]);
-  const min = realIdx[0];
-  const max = realIdx[realIdx.length - 1];
+  const secs = g.timer?.turnSeconds || 0;
+  const current = g.players[g.turn];
+  const active = secs > 0 && !!current && g.players.length >= 2 && !g.roundOver && !g.gameOver;
+  const key = active ? `${g.roundNo || 1}:${g.turn}:${current.pid}` : null;
 
-  const realByIdx = new Map(realIdx.map((idx, i) => [idx, real[i]]));
-  const jokerPool = [...jokers];
+  // same turn still running: keep the clock
+  if (key === (g.turnKey ?? null)) return;
 
-  const out = [];
-  for (let i = min; i <= max; i++) {
-    if (realByIdx.has(i)) out.push(realByIdx.get(i));
-    else out.push(jokerPool.pop());
+  // unused time bank goes back to whoever was on it
+  if (g.usingTimeBank) {
+    const prev = g.players.find((p) => p.pid === g.turnPid);
+    if (prev) prev.timeBankMs = Math.max(0, g.turnDeadline - Date.now());
   }
 
-  while (jokerPool.length) out.push(jokerPool.pop());
+  g.turnKey = key;
+  g.turnPid = active ? current.pid : null;
+  g.turnDeadline = active ? Date.now() + secs * 1000 : null;
+  g.usingTimeBank = false;
 
-  // set joker suit to run suit for display
-  return out.map((c) => (c.value === "2" ? { ...c, suit } : c));
+  scheduleTurnTimeout(room);
 }
-function canOpenAnyRunFromHand(hand) {
-  if (!Array.isArray(hand) || hand.length < 3) return false;
 
-  const jokers = hand.filter((c) => c.value === "2").length;
+function onTurnTimeout(room) {
+  turnTimers.delete(room);
+
+  const g = games[room];
+  if (!g?.turnDeadline) return;
+
+  const p = g.players[g.turn];
+  if (!p) return;
 
-  // Need at least 3 total cards and at least 2 real cards in a run (your validRun rule)
-  const realBySuit = {};
-  for (const c of hand) {
-    if (c.value === "2") continue;
-    if (!realBySuit[c.suit]) realBySuit[c.suit] = [];
-    realBySuit[c.suit].push(INDEX[c.value]);
+  // main clock ran out: dip into the time bank first
+  if (!g.usingTimeBank && p.timeBankMs > 0) {
+    g.turnDeadline = Date.now() + p.timeBankMs;
+    p.timeBankMs = 0;
+    g.usingTimeBank = true;
+    scheduleTurnTimeout(room);
+    emit(room);
+    return;
   }
 
-  for (const suit of Object.keys(realBySuit)) {
-    const idx = realBySuit[suit].sort((a, b) => a - b);
-    const n = idx.length;
+  const res = finishTurn(room, p);
+  if (res.error) {
+    console.error("Forced turn end failed", room, p.name, res.error);
+    g.turnDeadline = Date.now() + (g.timer?.turnSeconds || 30) * 1000;
+    scheduleTurnTimeout(room);
+    emit(room);
+    return;
+  }
 
-    // Need at least 2 real cards (then jokers can complete to 3+)
-    if (n < 2) continue;
+  res.state.usingTimeBank = false;
+  res.state.log.push(`${p.name} ran out of time (${res.forced ? "turn passed" : "auto-played"})`);
+  emit(room);
+}
 
-    for (let i = 0; i < n; i++) {
-      let gaps = 0;
-      for (let j = i + 1; j < n; j++) {
-        gaps += idx[j] - idx[j - 1] - 1;
-        if (gaps > jokers) break;
+/**
+ * Auto-plays p's turn to its end. When auto-play finds no legal way to finish
+ * it, the turn is pushed on anyway: the table must never wait forever.
+ */
+function finishTurn(room, p) {
+  const res = applyTracked(room, { type: "autoPlay", playerId: p.id });
+  if (!res.error) return { ...res, forced: false };
+
+  console.error("Auto-play failed, forcing the turn on", room, p.name, res.error);
+  return { ...applyTracked(room, { type: "forceEndTurn", playerId: p.id }), forced: true };
+}
 
-        const realCount = j - i + 1;
+/* ---------- BOT TURNS ---------- */
 
-        // validRun requires >=2 real cards AND gaps <= jokers
-        // also total cards in the run must be >=3
-        if (realCount >= 2 && realCount + jokers >= 3) return true;
-      }
-    }
+const BOT_THINK_MS = Number(process.env.BOT_THINK_MS || 900);
+
+// room -> pending bot step
+const botTimers = new Map();
+
+function scheduleBot(room) {
+  const g = games[room];
+  const p = g?.players[g.turn];
+  if (!p?.bot || g.roundOver || g.gameOver || g.players.length < 2) return;
+  if (botTimers.has(room)) return;
+
+  // a little longer before the first move of a turn, so turns are readable
+  const delay = p.canDiscard ? BOT_THINK_MS * 0.6 : BOT_THINK_MS * (1 + Math.random() * 0.5);
+  botTimers.set(room, setTimeout(() => runBotStep(room), delay));
+}
+
+function runBotStep(room) {
+  botTimers.delete(room);
+
+  const g = games[room];
+  const bot = g?.players[g.turn];
+  if (!bot?.bot || g.roundOver || g.gameOver) return;
+
+  const action = nextBotAction(g, bot);
+  const res = action ? applyTracked(room, { ...action, playerId: bot.id }) : { error: "NO_MOVE" };
+
+  // a strategy slip must never stall the table: finish the turn the safe way
+  if (res.error) {
+    console.error("Bot step rejected", room, bot.name, res.error);
+    if (finishTurn(room, bot).error) console.error("Bot turn could not be finished", room, bot.name);
   }
 
-  return false;
+  // emit re-arms scheduleBot whenever a bot is still to move
+  emit(room);
 }
 
-function canAddAnyCardToAllowedRuns(g, me) {
-  if (!g || !me || !me.opened) return false;
-  if (!Array.isArray(me.hand) || me.hand.length === 0) return false;
+// restored rooms: pick up the clocks (and bots) where they were
+for (const room of Object.keys(games)) {
+  scheduleTurnTimeout(room);
+  scheduleBot(room);
+}
 
-  // Which runs are you allowed to add to (respect your existing restrictions)
-  const allowedOwners = g.teamMode
-    ? g.players.filter((p) => p.team === me.team)
-    : [me];
+/* ---------- CHAT CHANNELS ---------- */
 
-  for (const owner of allowedOwners) {
-    const sets = owner.openedSets || [];
-    for (let runIndex = 0; runIndex < sets.length; runIndex++) {
-      const run = sets[runIndex] || [];
-      const runHasJoker = run.some((c) => c.value === "2");
+const CHAT_HISTORY = 60;
 
-      for (const card of me.hand) {
-        // your existing rule: if adding a joker to a run that had no joker,
-        // you must include at least one real card too.
-        if (card.value === "2" && !runHasJoker) continue;
+// g.chat keeps one history per channel: { table: [...], team: { 0: [...], 1: [...] } }
+function chatLog(g) {
+  // rooms saved before team chat kept a single flat list
+  if (!g.chat || Array.isArray(g.chat)) g.chat = { table: g.chat || [], team: { 0: [], 1: [] } };
+  return g.chat;
+}
 
-        const combined = [...run, card];
-        if (validRun(combined)) return true;
-      }
-    }
+// the team channel this seat may read and write, or null (spectators, bots, individual games)
+function chatTeam(g, p) {
+  return g.teamMode && p && !p.bot && (p.team === 0 || p.team === 1) ? p.team : null;
+}
+
+// table traffic goes to the whole room; team traffic socket by socket to that team only
+function emitToChannel(g, team, event, payload) {
+  if (team === null) {
+    io.to(g.room).emit(event, payload);
+    return;
   }
+  g.players
+    .filter((x) => chatTeam(g, x) === team)
+    .forEach((x) => io.to(x.id).emit(event, payload));
+}
 
-  return false;
+/* ---------- ACKS ---------- */
+
+// Every client→server action answers through a Socket.IO ack: { ok, code, message }.
+const OK = { ok: true, code: null, message: null };
+const fail = (code) => ({ ok: false, code, message: ERROR_MESSAGES[code] || "Action rejected" });
+
+/* ---------- RATE LIMITS ---------- */
+
+// [burst, refill per second] per event class, for one socket and for everyone behind one IP
+const RATE_LIMITS = {
+  chat:  { socket: [5, 0.5], ip: [15, 1.5] },
+  react: { socket: [8, 1], ip: [24, 3] },
+  rooms: { socket: [8, 0.2], ip: [20, 0.5] },
+  game:  { socket: [20, 4], ip: [60, 12] },
+  other: { socket: [20, 2], ip: [60, 6] }
+};
+
+const EVENT_CLASS = {
+  sendChat: "chat",
+  reactChat: "react", seatReaction: "react",
+  createRoom: "rooms", joinRoom: "rooms", spectateRoom: "rooms", takeSeat: "rooms",
+  reconnectRoom: "rooms", createInvite: "rooms", addBot: "rooms",
+  drawClosed: "game", drawOpen: "game", discard: "game", endTurn: "game", openRun: "game",
+  addToRun: "game", swapJoker: "game", undo: "game", playerWentOut: "game"
+};
+
+// rejected events a socket may pile up before it is dropped; a quiet minute forgives them
+const RATE_STRIKES = Number(process.env.RATE_STRIKES || 10);
+const STRIKE_RESET_MS = 60_000;
+
+// live rooms one IP may have created at a time
+const MAX_ROOMS_PER_IP = Number(process.env.MAX_ROOMS_PER_IP || 5);
+
+// behind a reverse proxy the socket address is the proxy's own
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+
+function clientIp(socket) {
+  const forwarded = TRUST_PROXY && socket.handshake.headers["x-forwarded-for"];
+  return (forwarded && forwarded.split(",")[0].trim()) || socket.handshake.address;
 }
 
-/* ---------- GAME STATE ---------- */
+// stored on the room instead of the raw address, which never reaches disk
+const ipKey = (ip) => sha256(`ip:${ip}`).slice(0, 16);
+
+// ip -> { [class]: bucket }
+const ipBuckets = new Map();
+
+function refill(bucket, [burst, perSecond], now) {
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.at) / 1000) * perSecond);
+  bucket.at = now;
+}
+
+/**
+ * Takes one token from both the socket's and the IP's bucket for this event's
+ * class. Either one running dry rejects the event and costs neither.
+ */
+function takeToken(socketBuckets, ip, event) {
+  const kind = EVENT_CLASS[event] || "other";
+  const limits = RATE_LIMITS[kind];
+  const now = Date.now();
+
+  if (!ipBuckets.has(ip)) ipBuckets.set(ip, {});
+  const shared = ipBuckets.get(ip);
+
+  const mine = (socketBuckets[kind] ||= { tokens: limits.socket[0], at: now });
+  const theirs = (shared[kind] ||= { tokens: limits.ip[0], at: now });
+  refill(mine, limits.socket, now);
+  refill(theirs, limits.ip, now);
+
+  if (mine.tokens < 1 || theirs.tokens < 1) return false;
+  mine.tokens -= 1;
+  theirs.tokens -= 1;
+  return true;
+}
+
+function roomsCreatedBy(ip) {
+  const key = ipKey(ip);
+  return Object.values(games).filter((g) => g.creatorIp === key).length;
+}
 
-const games = {};
+// an IP whose buckets have all refilled holds nothing worth keeping
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, shared] of ipBuckets) {
+    const full = Object.entries(shared).every(([kind, bucket]) => {
+      refill(bucket, RATE_LIMITS[kind].ip, now);
+      return bucket.tokens >= RATE_LIMITS[kind].ip[0];
+    });
+    if (full) ipBuckets.delete(ip);
+  }
+}, 60_000).unref();
 
 /* ---------- SOCKET ---------- */
 
 io.on("connection", (socket) => {
 
+  // handlers return an ERROR_MESSAGES code to reject, nothing to accept
+  // (or an object of extra reply fields on success)
+  const ip = clientIp(socket);
+  const buckets = {};
+  let strikes = 0;
+  let lastStrike = 0;
+
+  const on = (event, handler) =>
+    socket.on(event, (payload, ack) => {
+      // 🚫 over the limit: refuse, and drop sockets that keep hammering
+      const limited = !takeToken(buckets, ip, event);
+      if (limited) {
+        if (Date.now() - lastStrike > STRIKE_RESET_MS) strikes = 0;
+        lastStrike = Date.now();
+      }
+      if (limited && ++strikes >= RATE_STRIKES) {
+        console.warn("Disconnecting flooding socket", socket.id, ip, event);
+        socket.emit("errorMsg", ERROR_MESSAGES.FLOODING);
+        socket.disconnect(true);
+        return;
+      }
+
+      const result = limited ? "RATE_LIMITED" : handler(payload || {});
+      if (typeof ack !== "function") return;
+      ack(typeof result === "string" ? fail(result) : { ...OK, ...result });
+    });
+
   /* ---------- CHAT ---------- */
-socket.on("sendChat", ({ room, pid, name, text }) => {
+on("sendChat", ({ room, text, channel }) => {
   const g = games[room];
-  if (!g) return;
+  if (!g) return "ROOM_NOT_FOUND";
+
+  // ✅ only the table (players + spectators) may talk, under the name they sat down with
+  const p = memberOf(g, socket.id);
+  if (!p) return "NOT_IN_ROOM";
+  const seated = g.players.includes(p) ? p : null;
 
   const msg = (text || "").toString().trim();
-  if (!msg) return;
-  if (msg.length > 240) return;
+  if (!msg || msg.length > 240) return "BAD_MESSAGE";
 
-  const p = g.players.find((x) => (pid && x.pid === pid) || x.id === socket.id);
-  const safeName = p?.name || name || "Player";
+  // 🚫 the team channel is only for seated partners in a team game
+  const team = channel === "team" ? chatTeam(g, seated) : null;
+  if (channel === "team" && team === null) return "NO_TEAM_CHAT";
 
   const chatItem = {
     id: uuid(),
     ts: Date.now(),
-    pid: p?.pid || pid || null,
-    name: safeName,
-    text: msg
+    playerId: p.id,
+    // the stable public id: mutes and "mine" hold across reconnects and renames
+    profileId: profileIdOf(p),
+    name: p.name,
+    text: msg,
+    channel: team === null ? "table" : "team"
   };
 
-  if (!g.chat) g.chat = [];
-  g.chat.push(chatItem);
-  if (g.chat.length > 60) g.chat.shift();
+  const log = chatLog(g);
+  const history = team === null ? log.table : log.team[team];
+  history.push(chatItem);
+  if (history.length > CHAT_HISTORY) history.shift();
 
-  io.to(room).emit("chatMsg", { room, msg: chatItem });
+  saveRoom(room);
+  emitToChannel(g, team, "chatMsg", { room, msg: chatItem });
 });
 
-socket.on("getChat", ({ room }) => {
+// one tap adds a reaction to a message, a second tap takes it back
+on("reactChat", ({ room, messageId, emoji }) => {
   const g = games[room];
-  if (!g) return;
-  io.to(socket.id).emit("chatHistory", { room, chat: g.chat || [] });
+  if (!g) return "ROOM_NOT_FOUND";
+  if (!CHAT_REACTIONS.includes(emoji)) return "BAD_REACTION";
+
+  const p = memberOf(g, socket.id);
+  if (!p) return "NOT_IN_ROOM";
+  const seated = g.players.includes(p) ? p : null;
+
+  // ✅ only messages this socket could read: the table, or its own team's channel
+  const log = chatLog(g);
+  const team = chatTeam(g, seated);
+  const inTeam = team === null ? null : log.team[team].find((m) => m.id === messageId);
+  const msg = inTeam || log.table.find((m) => m.id === messageId);
+  if (!msg) return "MESSAGE_NOT_FOUND";
+
+  const reactions = (msg.reactions ||= {});
+  const who = reactions[emoji] || [];
+  const profileId = profileIdOf(p);
+  reactions[emoji] = who.some((r) => r.profileId === profileId)
+    ? who.filter((r) => r.profileId !== profileId)
+    : [...who, { profileId, name: p.name }];
+  if (!reactions[emoji].length) delete reactions[emoji];
+
+  saveRoom(room);
+  emitToChannel(g, inTeam ? team : null, "chatReaction", { room, messageId, reactions });
+});
+
+// a short emoji that pops over the sender's seat; nothing is kept
+on("seatReaction", ({ room, emoji }) => {
+  const g = games[room];
+  if (!g) return "ROOM_NOT_FOUND";
+  if (!CHAT_REACTIONS.includes(emoji)) return "BAD_REACTION";
+
+  const p = g.players.find((x) => x.id === socket.id);
+  if (!p) return "NOT_IN_ROOM";
+
+  io.to(room).emit("seatReaction", { room, id: uuid(), playerId: p.id, profileId: profileIdOf(p), emoji });
+});
+
+on("getChat", ({ room }) => {
+  const g = games[room];
+  if (!g) return "ROOM_NOT_FOUND";
+
+  if (!memberOf(g, socket.id)) return "NOT_IN_ROOM";
+
+  const log = chatLog(g);
+  const team = chatTeam(g, g.players.find((x) => x.id === socket.id));
+  io.to(socket.id).emit("chatHistory", {
+    room,
+    chat: log.table,
+    teamChat: team === null ? [] : log.team[team]
+  });
 });
 /* ---------- CREATE / JOIN ---------- */
 
-socket.on("createRoom", ({ room, name, teamMode, pid, team }) => {
-  if (!room || !name || games[room]) return;
+on("createRoom", ({ room: code, name, teamMode, token, team, turnSeconds, timeBankSeconds, bots, rules, isPublic, password }) => {
+  if (!name) return "NAME_REQUIRED";
+
+  // ✅ no code typed: hand out a short, readable one
+  const room = String(code ?? "").trim() || generateRoomCode();
+  if (games[resolveRoom(room)]) return "ROOM_EXISTS";
+  if (roomsCreatedBy(ip) >= MAX_ROOMS_PER_IP) return "TOO_MANY_ROOMS";
+
+  const timer = {
+    turnSeconds: clampSeconds(turnSeconds),
+    timeBankSeconds: clampSeconds(timeBankSeconds)
+  };
+
+  // ✅ house rules are fixed for the life of the room
+  const houseRules = normalizeRules(rules);
 
-  const deck = buildDeck();
+  const seeded = { room, rules: houseRules };
+  const deck = dealDeck(seeded, 1);
 
-  const persistentPid = pid || uuid();
+  const persistentPid = sessionToken(token);
 
   const isTeam = !!teamMode;
 
@@ -421,17 +1222,20 @@ socket.on("createRoom", ({ room, name, teamMode, pid, team }) => {
   let chosenTeam = isTeam ? team : null;
 
   // ✅ must be 0 or 1 in team mode
-  if (isTeam && (chosenTeam !== 0 && chosenTeam !== 1)) return;
-
-  // (Optional but recommended) enforce max 2 per team on create too
-  if (isTeam) {
-  const teamCount = 0; // first player
-  if (teamCount >= 2) return;
-}
+  if (isTeam && (chosenTeam !== 0 && chosenTeam !== 1)) return "TEAM_REQUIRED";
 
   games[room] = {
     room,
     teamMode: isTeam,
+    rules: houseRules,
+    hostPid: persistentPid,
+    creatorIp: ipKey(ip),
+    public: !!isPublic,
+    passwordHash: password ? hashPassword(String(password)) : null,
+    invites: [],
+    locked: false,
+    kickedPids: [],
+    nextStarterPid: null,
     dealerIndex: 0,
     teamScores: isTeam ? { 0: 0, 1: 0 } : null,
     teams: isTeam ? { 0: { label: "", score: 0, members: [] }, 1: { label: "", score: 0, members: [] } } : null,
@@ -441,498 +1245,563 @@ socket.on("createRoom", ({ room, name, teamMode, pid, team }) => {
         pid: persistentPid,
         name,
         team: isTeam ? chosenTeam : null,
-        hand: deck.splice(0, HAND_SIZE),
+        hand: deck.splice(0, houseRules.handSize),
         openedSets: [],
         opened: false,
         mustDiscard: false,
         canDiscard: false,
-        score: 0
+        score: 0,
+        timeBankMs: timer.timeBankSeconds * 1000,
+        ipKey: ipKey(ip),
+        status: "connected",
+        lastSeen: Date.now()
       }
     ],
     closed: deck,
     open: [deck.pop()],
     turn: 0,
+    roundNo: 1,
+    timer,
+    turnDeadline: null,
     roundOver: false,
     winner: null,
     gameOver: false,
+    deckSeed: seeded.deckSeed,
+    deckHash: seeded.deckHash,
+    spectators: [],
     log: [`${name} created the room`]
   };
 
 // ✅ starter is left of dealer (will be 0 if only 1 player)
 games[room].turn = nextTurnIndex(games[room], games[room].dealerIndex);
 
+  recordSnapshot(games[room], "deal");
+
+  // ✅ optional computer players picked in the lobby
+  const botCount = Math.max(0, Math.min(3, Math.floor(Number(bots?.count) || 0)));
+  for (let i = 0; i < botCount; i++) seatBot(games[room], bots.level);
+
   socket.join(room);
-  socket.emit("youAre", { pid: persistentPid });
+  socket.emit("youAre", { token: persistentPid });
   emit(room);
 });
 
-socket.on("joinRoom", ({ room, name, pid, team }) => {
+on("joinRoom", ({ room: code, name, token, team, password, invite: inviteToken }) => {
+  const room = resolveRoom(code);
   const g = games[room];
-  if (!g || g.players.length >= 4) return;
+  if (!g) return "ROOM_NOT_FOUND";
 
-  const persistentPid = pid || uuid();
+  const persistentPid = sessionToken(token);
 
   // ✅ rebind existing player (refresh / PWA resume) WITHOUT changing team
   const existing = g.players.find((p) => p.pid === persistentPid);
   if (existing) {
-    existing.id = socket.id;
     existing.name = name || existing.name;
+    bindSocket(existing, room, socket);
 
-    socket.join(room);
-    socket.emit("youAre", { pid: persistentPid });
+    socket.emit("youAre", { token: persistentPid });
     emit(room);
     return;
   }
 
+  if (isKicked(g, persistentPid, name, ipKey(ip))) return "KICKED";
+
+  // ✅ an invite is the host's say-so: it skips the lock and the password (once)
+  const invite = findInvite(g, inviteToken);
+  if (inviteToken && !invite) return "BAD_INVITE";
+  if (!invite) {
+    if (g.locked) return "ROOM_LOCKED";
+    const pw = passwordGate(g, password);
+    if (pw) return pw;
+  }
+
+  if (!name) return "NAME_REQUIRED";
+  if (g.players.length >= 4) return "TABLE_FULL";
+
   // ✅ team mode: require explicit team pick
   let chosenTeam = g.teamMode ? team : null;
 
   if (g.teamMode) {
-    if (chosenTeam !== 0 && chosenTeam !== 1) return;
+    if (chosenTeam !== 0 && chosenTeam !== 1) return "TEAM_REQUIRED";
 
     // ✅ enforce max 2 per team
-    const teamCount = g.players.filter((p) => p.team === chosenTeam).length;
-    if (teamCount >= 2) {
-      io.to(socket.id).emit("errorMsg", "That team is full (max 2 players). Pick the other team.");
-      return;
-    }
+    if (teamCount(g, chosenTeam) >= 2) return "TEAM_FULL";
   }
 
-  const prevLen = g.players.length;
+  // a spectator joining for real gives up the spectator slot
+  if (g.spectators) g.spectators = g.spectators.filter((x) => x.pid !== persistentPid);
+  if (invite) g.invites = g.invites.filter((x) => x !== invite);
 
-  g.players.push({
+  seatPlayer(g, {
     id: socket.id,
     pid: persistentPid,
     name,
     team: g.teamMode ? chosenTeam : null,
-    hand: g.closed.splice(0, HAND_SIZE),
-    openedSets: [],
-    opened: false,
-    mustDiscard: false,
-    canDiscard: false,
-    score: 0
+    ipKey: ipKey(ip),
+    status: "connected",
+    lastSeen: Date.now()
   });
 
-  // ✅ set Round 1 starting turn once (when the room first reaches 2 players)
-  if (
-    prevLen === 1 &&
-    g.players.length >= 2 &&
-    g.players.every((pp) => !pp.canDiscard && !pp.mustDiscard) &&
-    !g.roundOver &&
-    !g.gameOver
-  ) {
-    g.turn = nextTurnIndex(g, g.dealerIndex);
-  }
-
   socket.join(room);
-  socket.emit("youAre", { pid: persistentPid });
+  socket.emit("youAre", { token: persistentPid });
 
   g.log.push(`${name} joined the room`);
   emit(room);
 });
-/* ---------- RECONNECT (refresh / PWA resume) ---------- */
+on("addBot", ({ room, level }) => {
+  const g = games[room];
+  if (!g) return "ROOM_NOT_FOUND";
+  const gate = hostGate(g, socket.id);
+  if (gate) return gate;
+
+  const err = seatBot(g, level);
+  if (err) return err;
+  emit(room);
+});
 
-socket.on("reconnectRoom", ({ room, pid }) => {
+/* ---------- SPECTATORS ---------- */
+
+// watch without a seat: public table only, never a hand
+on("spectateRoom", ({ room: code, name, token, password }) => {
+  const room = resolveRoom(code);
   const g = games[room];
-  if (!g || !pid) return;
+  if (!g) return "ROOM_NOT_FOUND";
+  if (!g.spectators) g.spectators = [];
 
-  const p = g.players.find((x) => x.pid === pid);
-  if (!p) return;
+  const persistentPid = sessionToken(token);
 
-  // ✅ rebind the existing player to this new socket connection
-  p.id = socket.id;
+  // already seated? then this is just a rejoin
+  if (g.players.some((p) => p.pid === persistentPid)) return "ALREADY_SEATED";
+  if (isKicked(g, persistentPid, name, ipKey(ip))) return "KICKED";
 
-  socket.join(room);
+  let sp = g.spectators.find((x) => x.pid === persistentPid);
+  if (!sp) {
+    const pw = passwordGate(g, password);
+    if (pw) return pw;
 
-  // re-confirm identity for client just in case
-  socket.emit("youAre", { pid });
+    sp = { pid: persistentPid };
+    g.spectators.push(sp);
+    g.log.push(`${name || "Someone"} is watching`);
+  }
+  sp.name = name || sp.name || "Spectator";
+  bindSocket(sp, room, socket);
 
+  socket.emit("youAre", { token: persistentPid, spectator: true });
   emit(room);
 });
-  /* ---------- DRAW ---------- */
 
-  socket.on("drawClosed", ({ room }) => {
-    const g = games[room];
-    const p = g?.players?.[g.turn];
-    if (!g || !p || p.id !== socket.id) return;
-    if (g.roundOver || g.gameOver) return;
-    if (p.canDiscard) return; // already drew this turn
-    if (!g.closed.length) return;
+// spectator -> free seat, only between rounds/games (dealt in on the next deal)
+on("takeSeat", ({ room, team }) => {
+  const g = games[room];
+  if (!g) return "ROOM_NOT_FOUND";
 
-    p.hand.push(g.closed.pop());
+  const sp = g.spectators?.find((x) => x.id === socket.id);
+  if (!sp) return "NOT_SPECTATING";
 
-    // closed draw => discard REQUIRED before end turn
-    p.mustDiscard = true;
-    p.canDiscard = true;
-    p.noDiscardCardId = null;
+  if (!g.roundOver && !g.gameOver) return "ROUND_IN_PROGRESS";
+  if (g.locked) return "ROOM_LOCKED";
+  if (g.players.length >= 4) return "TABLE_FULL";
 
-    emit(room);
+  let chosenTeam = null;
+  if (g.teamMode) {
+    const pick = pickTeamOrReject(g, team);
+    if (!pick.ok) return pick.code;
+    chosenTeam = pick.team;
+  }
+
+  g.spectators = g.spectators.filter((x) => x !== sp);
+  seatPlayer(g, {
+    id: socket.id,
+    pid: sp.pid,
+    name: sp.name,
+    team: chosenTeam,
+    ipKey: ipKey(ip),
+    status: "connected",
+    lastSeen: Date.now()
   });
 
-socket.on("drawOpen", ({ room, count }) => {
-  const g = games[room];
-  const p = g?.players?.[g.turn];
-  if (!g || !p || p.id !== socket.id) return;
-  if (g.roundOver || g.gameOver) return;
-  if (p.canDiscard) return; // already drew this turn
-  if (!count || count < 1) return;
-  if (count > g.open.length) return;
+  socket.emit("youAre", { token: sp.pid });
+  g.log.push(`${sp.name} took a seat`);
+  emit(room);
+});
 
-  const preLen = g.open.length;
+/* ---------- RECONNECT (refresh / PWA resume) ---------- */
 
-  // open is stored bottom->top; draw from TOP = last items
-  const drawn = g.open.splice(-count);
-  p.hand.push(...drawn);
+// only the session token rebinds: public ids are visible to the whole table
+on("reconnectRoom", ({ room, token }) => {
+  const g = games[room];
+  if (!g) return "ROOM_NOT_FOUND";
+  if (!token || typeof token !== "string") return "BAD_REQUEST";
 
-  // If you emptied the open stack, you MUST discard to re-seed it.
-  // Otherwise discard stays optional.
-  p.mustDiscard = g.open.length === 0;
+  const spectator = (g.spectators || []).find((x) => x.pid === token);
+  const p = g.players.find((x) => x.pid === token) || spectator;
+  if (!p) return "NOT_IN_ROOM";
 
-  p.canDiscard = true;
+  // ✅ rebind the existing player (or spectator) to this new socket connection
+  bindSocket(p, room, socket);
 
-  // ✅ New rule: ONLY if open had exactly 1 card and you drew that 1,
-  // you cannot discard that exact card this turn.
-  if (preLen === 1 && count === 1 && drawn[0]?.id) {
-    p.noDiscardCardId = drawn[0].id;
-  } else {
-    p.noDiscardCardId = null;
-  }
+  // re-confirm identity for client just in case
+  socket.emit("youAre", { token, spectator: !!spectator });
 
   emit(room);
 });
-/* ---------- DISCARD ---------- */
+  /* ---------- REPLAY ---------- */
 
-socket.on("discard", ({ room, index }) => {
-  const g = games[room];
-  const p = g?.players?.[g.turn];
-  if (!g || !p || p.id !== socket.id) return;
-  if (g.roundOver || g.gameOver) return;
-  if (!p.canDiscard) return; // must draw before discard
-  if (index == null || index < 0 || index >= p.hand.length) return;
-
-  // 🚫 House rule: closed empty → must play mandatory melds first
-  if (mustPlayAllMeldsNow(g, p)) {
-    io.to(socket.id).emit("errorMsg", "You must play all mandatory adds/runs before discarding.");
-    return;
-  }
-
-  // 🚫 New rule: if open had exactly 1 card and you drew it, you can't discard that same card
-  if (p.noDiscardCardId && p.hand[index]?.id === p.noDiscardCardId) {
-    io.to(socket.id).emit("errorMsg", "You can’t discard the last open-stack card you just drew.");
-    return;
-  }
+  // full history reveals every hand, so only finished games are served
+  on("getReplay", ({ room }) => {
+    const g = games[room];
+    if (!g) return "ROOM_NOT_FOUND";
 
-  // move card to open stack
-  g.open.push(p.hand.splice(index, 1)[0]);
+    // 🚫 a replay shows every hand: only for the table itself
+    if (!memberOf(g, socket.id)) return "NOT_IN_ROOM";
 
-  // ✅ clear the restriction after any successful discard
-  p.noDiscardCardId = null;
+    const history = g.gameOver ? g.history : g.lastGameHistory;
+    if (!history?.length) return "NO_REPLAY";
 
-  // discard completes discard requirement
-  p.mustDiscard = false;
+    io.to(socket.id).emit("replay", { room, history });
+  });
 
-  // ✅ if you discarded your last card, you are OUT immediately
-  if (p.hand.length === 0) {
-    g.roundOver = true;
-    g.winner = p.id;      // keep for UI
-    g.winnerPid = p.pid;  // stable identity for scoring
+  /* ---------- PROFILES ---------- */
 
-    scoreRound(g);
-    checkWin(g);
+  // the token proves it's you; the profile itself only carries public ids and names
+  on("getProfile", ({ token }) => {
+    const id = token ? profileIdForToken(String(token)) : null;
+    const profile = id ? profiles[id] : null;
+    if (!profile) return "NO_PROFILE";
+    const { keys, ...shown } = profile; // token hashes stay on the server
+    return { profile: shown };
+  });
 
-    // lock turn state for clarity
-    p.canDiscard = false;
+  on("getLeaderboard", () => {
+    const rows = Object.values(profiles)
+      .filter((p) => p.ratedGames > 0)
+      .sort((a, b) => b.rating - a.rating)
+      .slice(0, LEADERBOARD_SIZE)
+      // games and wins both count rated games only, so wins can never outnumber games
+      .map((p) => ({ id: p.id, name: p.name, rating: p.rating, games: p.ratedGames, wins: p.ratedWins || 0 }));
+    return { rows };
+  });
 
-    emit(room);
-    return;
-  }
+  /* ---------- PUBLIC ROOMS ---------- */
 
-  // normal discard ends turn
-  p.canDiscard = false;
-  g.turn = nextTurnIndex(g, g.turn);
+  on("watchRooms", () => {
+    socket.join(LOBBY);
+    socket.emit("roomList", { rooms: publicRooms() });
+  });
 
-  emit(room);
-});
+  on("unwatchRooms", () => {
+    socket.leave(LOBBY);
+  });
 
-socket.on("endTurn", ({ room }) => {
-  const g = games[room];
-  const p = g?.players?.[g.turn];
-  if (!g || !p || p.id !== socket.id) return;
-  if (g.roundOver || g.gameOver) return;
+  on("setPublic", ({ room, isPublic }) => {
+    const g = games[room];
+    if (!g) return "ROOM_NOT_FOUND";
 
-  // must have drawn this turn to end turn
-  if (!p.canDiscard) return;
+    const gate = hostGate(g, socket.id);
+    if (gate) return gate;
 
-  // if discard required, cannot end turn
-  if (p.mustDiscard) return;
+    g.public = !!isPublic;
+    emit(room);
+  });
 
-  // 🚫 House rule: closed stack empty → must play mandatory melds first
-  if (mustPlayAllMeldsNow(g, p)) {
-    io.to(socket.id).emit("errorMsg", "You must play all mandatory adds/runs before ending your turn.");
-    return;
-  }
+  /* ---------- HOST CONTROLS ---------- */
 
-  // optional-discard path: end turn without discarding
-  p.canDiscard = false;
+  // one-seat invite: the raw token only ever goes back to the host
+  on("createInvite", ({ room }) => {
+    const g = games[room];
+    if (!g) return "ROOM_NOT_FOUND";
 
-  // ✅ clear the restriction when the turn ends
-  p.noDiscardCardId = null;
+    const gate = hostGate(g, socket.id);
+    if (gate) return gate;
 
-  g.turn = nextTurnIndex(g, g.turn);
+    const token = randomBytes(16).toString("base64url");
+    const now = Date.now();
+    const live = (g.invites || []).filter((x) => x.expiresAt > now);
+    g.invites = [...live, { hash: sha256(token), expiresAt: now + INVITE_TTL_MS }].slice(-20);
+    saveRoom(room);
 
-  emit(room);
-});
-  /* ---------- OPEN / ADD RUN ---------- */
+    return { room, token };
+  });
 
-  socket.on("openRun", ({ room, cardIds }) => {
+  // mode: "return" (hand back into the closed stack) | "redeal" (restart the round)
+  on("kickPlayer", ({ room, playerId, mode }) => {
     const g = games[room];
-    const p = g?.players?.[g.turn];
-    if (!g || !p || p.id !== socket.id) return;
-    if (g.roundOver || g.gameOver) return;
+    if (!g) return "ROOM_NOT_FOUND";
+
+    const gate = hostGate(g, socket.id);
+    if (gate) return gate;
 
-    // ✅ must draw before opening any runs
-    if (!p.canDiscard) return;
+    const index = g.players.findIndex((p) => p.id === playerId);
+    if (index < 0) return "BAD_SEAT";
+    if (playerId === socket.id) return "CANT_KICK_SELF";
 
-    const ids = Array.isArray(cardIds) ? cardIds : [];
-    if (ids.length < 3) return;
+    const gone = removePlayer(g, index, mode === "redeal" ? "redeal" : "return");
+    if (!gone.bot) {
+      banPlayer(g, gone);
+      io.to(gone.id).emit("kicked", { room });
+      io.in(gone.id).socketsLeave(room);
+    }
 
-    const cards = ids.map((id) => p.hand.find((c) => c.id === id));
-    if (cards.includes(undefined)) return;
+    g.log.push(`${gone.name} was removed by the host${mode === "redeal" ? " (round redealt)" : ""}`);
+    emit(room);
+  });
 
-    const jokerCount = cards.filter((c) => c.value === "2").length;
-    if (jokerCount > 1) return; // ✅ max 1 joker per run
+  on("lockRoom", ({ room, locked }) => {
+    const g = games[room];
+    if (!g) return "ROOM_NOT_FOUND";
+
+    const gate = hostGate(g, socket.id);
+    if (gate) return gate;
+
+    g.locked = !!locked;
+    g.log.push(g.locked ? "The host locked the room" : "The host unlocked the room");
+    emit(room);
+  });
 
-    if (!validRun(cards)) return;
+  // seat order only changes between rounds (mid-round it would scramble the turn)
+  on("moveSeat", ({ room, playerId, toIndex }) => {
+    const g = games[room];
+    if (!g) return "ROOM_NOT_FOUND";
 
-    const normalized = normalizeRun(cards);
+    const gate = hostGate(g, socket.id);
+    if (gate) return gate;
+    if (!g.roundOver && !g.gameOver) return "ROUND_IN_PROGRESS";
 
-    p.hand = p.hand.filter((c) => !ids.includes(c.id));
-    p.openedSets.push(normalized);
-    p.opened = true;
+    const from = g.players.findIndex((p) => p.id === playerId);
+    const to = Math.floor(Number(toIndex));
+    if (from < 0 || !(to >= 0 && to < g.players.length)) return "BAD_SEAT";
 
+    const [p] = g.players.splice(from, 1);
+    g.players.splice(to, 0, p);
+    recordSnapshot(g, "seat");
     emit(room);
   });
 
-  socket.on("addToRun", ({ room, targetPlayer, runIndex, cardIds }) => {
+  on("setStarter", ({ room, playerId }) => {
     const g = games[room];
-    if (!g) return;
-    if (g.roundOver || g.gameOver) return;
+    if (!g) return "ROOM_NOT_FOUND";
 
-    const me = g.players.find((pp) => pp.id === socket.id);
-    const owner = g.players.find((pp) => pp.id === targetPlayer);
-    if (!me || !owner || !me.opened) return;
+    const gate = hostGate(g, socket.id);
+    if (gate) return gate;
+    if (!g.roundOver && !g.gameOver) return "ROUND_IN_PROGRESS";
 
-    // ✅ must draw before adding to any run
-    if (!me.canDiscard) return;
+    const p = g.players.find((x) => x.id === playerId);
+    if (!p) return "BAD_SEAT";
 
-    if (runIndex == null || runIndex < 0 || runIndex >= owner.openedSets.length) return;
+    g.nextStarterPid = p.pid;
+    emit(room);
+  });
 
-    // team restriction
-    if (g.teamMode && me.team !== owner.team) return;
-    if (!g.teamMode && me.id !== owner.id) return;
+  /* ---------- PRESENCE (leave / disconnect) ---------- */
 
-    const ids = Array.isArray(cardIds) ? cardIds : [];
-    if (ids.length < 1) return;
+  // explicit "back to lobby": keep the seat (the token can still rejoin) but show as gone
+  on("leaveRoom", ({ room }) => {
+    const g = games[room];
+    if (!g) return "ROOM_NOT_FOUND";
+
+    // spectators simply stop watching
+    if (g.spectators?.some((x) => x.id === socket.id)) {
+      g.spectators = g.spectators.filter((x) => x.id !== socket.id);
+      socket.leave(room);
+      emit(room);
+      return;
+    }
 
-    const add = ids.map((id) => me.hand.find((c) => c.id === id));
-    if (add.includes(undefined)) return;
+    const p = g.players.find((x) => x.id === socket.id);
+    if (!p) return "NOT_IN_ROOM";
 
-    const original = [...owner.openedSets[runIndex]];
+    setPresence(p, "left");
+    socket.leave(room);
+    emit(room);
+  });
 
-    // counts (supports selecting multiple cards)
-    const originalJokers = original.filter((c) => c.value === "2").length;
-    const addJokers = add.filter((c) => c.value === "2").length;
-    const addReals = add.filter((c) => c.value !== "2").length;
+  socket.on("disconnect", () => {
+    for (const [room, g] of Object.entries(games)) {
+      const p = g.players.find((x) => x.id === socket.id) || g.spectators?.find((x) => x.id === socket.id);
+      if (!p || p.status === "left") continue;
 
-    // ✅ House rule: max 1 joker per run total
-    if (originalJokers + addJokers > 1) return;
+      setPresence(p, "away");
+      emit(room);
+      if (p.pid === g.hostPid) setTimeout(() => checkHost(room), HOST_GRACE_MS + 1000).unref();
+    }
+  });
 
-    // ✅ With max-1-joker, joker-only add is never allowed
-    if (addJokers > 0 && addReals === 0) return;
+  /* ---------- IN-ROUND ACTIONS (rules engine) ---------- */
 
-    // ✅ If you are adding a joker (and the run had none), you must include at least one real too
-    // (already covered by joker-only check above, but keep explicit for clarity)
-    if (addJokers > 0 && originalJokers === 0 && addReals === 0) return;
+  // draw / discard / runs / going out all go through the shared reducer
+  const dispatch = (room, action) => {
+    if (!games[room]) return "ROOM_NOT_FOUND";
 
-    const combined = [...original, ...add];
-    if (!validRun(combined)) return;
-    owner.openedSets[runIndex] = normalizeRun(combined);
-    me.hand = me.hand.filter((c) => !ids.includes(c.id));
+    const { error } = applyTracked(room, { ...action, playerId: socket.id });
+    if (error) return error;
 
     emit(room);
-  });
+  };
 
-  /* ---------- ROUND ---------- */
+  on("drawClosed", ({ room }) => dispatch(room, { type: "drawClosed" }));
 
-  socket.on("playerWentOut", ({ room }) => {
-    const g = games[room];
-    const pTurn = g?.players?.[g.turn];
-    if (!g || !pTurn || pTurn.id !== socket.id) return; // ✅ must be current turn player
-    if (g.roundOver || g.gameOver) return;
+  on("drawOpen", ({ room, count }) => dispatch(room, { type: "drawOpen", count }));
 
-    // must have 0 cards
-    if (pTurn.hand.length) return;
+  on("discard", ({ room, index }) => dispatch(room, { type: "discard", index }));
 
-    // ✅ MUST have drawn this turn (prevents going out without drawing)
-    if (!pTurn.canDiscard) return;
+  on("endTurn", ({ room }) => dispatch(room, { type: "endTurn" }));
 
-    // ✅ If hand is empty, discard requirement is irrelevant
-    pTurn.mustDiscard = false;
-    pTurn.canDiscard = false;
+  // jokerEnd ("high" | "low") places a spare joker when either end would do
+  on("openRun", ({ room, cardIds, jokerEnd }) => dispatch(room, { type: "openRun", cardIds, jokerEnd }));
 
-    g.roundOver = true;
-    g.winner = pTurn.id;
-    g.winnerPid = pTurn.pid; // stable identity for scoring
+  on("addToRun", ({ room, targetPlayer, runIndex, cardIds, jokerEnd }) =>
+    dispatch(room, { type: "addToRun", targetPlayer, runIndex, cardIds, jokerEnd })
+  );
 
-    scoreRound(g);
-    checkWin(g);
+  on("swapJoker", ({ room, targetPlayer, runIndex, jokerId, cardId }) =>
+    dispatch(room, { type: "swapJoker", targetPlayer, runIndex, jokerId, cardId })
+  );
 
-    emit(room);
-  });
+  // takes back this turn's latest run/add (until discard or end turn)
+  on("undo", ({ room }) => dispatch(room, { type: "undo" }));
+
+  /* ---------- ROUND ---------- */
+
+  on("playerWentOut", ({ room }) => dispatch(room, { type: "playerWentOut" }));
 
-  socket.on("continueGame", ({ room }) => {
+  on("continueGame", ({ room }) => {
     const g = games[room];
-    if (!g || g.gameOver) return;
-
-    const deck = buildDeck();
-    g.closed = deck;
-    g.open = [deck.pop()];
-
-    g.players.forEach((p) => {
-      p.hand = deck.splice(0, HAND_SIZE);
-      p.openedSets = [];
-      p.opened = false;
-      p.mustDiscard = false;
-      p.canDiscard = false;
-      // scores persist (team or individual)
-    });
+    if (!g) return "ROOM_NOT_FOUND";
+    if (g.gameOver) return "GAME_OVER";
+    if (!g.roundOver) return "ROUND_NOT_OVER";
+
+    const gate = hostGate(g, socket.id, { lenient: true });
+    if (gate) return gate;
 
-    g.roundOver = false;
-    g.winner = null;
-    g.winnerPid = null;
+    // scores persist (team or individual)
+    dealRound(g, (g.roundNo || 1) + 1);
 
     // ✅ rotate dealer + starter each round
     g.dealerIndex = ((g.dealerIndex ?? -1) + 1) % g.players.length;  // first continueGame => dealer becomes 0
     g.turn = nextTurnIndex(g, g.dealerIndex);             // starter = player next to dealer
+    applyNextStarter(g);
 
+    recordSnapshot(g, "deal");
     g.log.push("New round started");
     emit(room);
   });
 
   /* ---------- NEW GAME (reset scores + fresh round) ---------- */
-socket.on("newGame", ({ room }) => {
+on("newGame", ({ room }) => {
   const g = games[room];
-  if (!g) return;
+  if (!g) return "ROOM_NOT_FOUND";
 
-  // Optional: only allow when the previous game is over
-  if (!g.gameOver) return;
+  // only allowed once the previous game is over
+  if (!g.gameOver) return "GAME_NOT_OVER";
 
-  const deck = buildDeck();
-  g.closed = deck;
-  g.open = [deck.pop()];
+  const gate = hostGate(g, socket.id, { lenient: true });
+  if (gate) return gate;
 
-  // reset round state
-  g.roundOver = false;
-  g.winner = null;
-  g.winnerPid = null; // ✅ keep consistent with continueGame
+  // fresh hands + round state
+  dealRound(g, (g.roundNo || 1) + 1);
   g.gameOver = false;
 
 // ✅ rotate dealer + starter for rematch too
 g.dealerIndex = ((g.dealerIndex ?? -1) + 1) % g.players.length;
 g.turn = nextTurnIndex(g, g.dealerIndex);
+applyNextStarter(g);
 
   // reset scores (individual + team)
   if (g.teamMode) {
     g.teamScores = { 0: 0, 1: 0 };
   }
+  g.scoresheet = [];
+  g.matchStats = {};
 
   g.players.forEach((p) => {
-    // fresh hands / round state
-    p.hand = deck.splice(0, HAND_SIZE);
-    p.openedSets = [];
-    p.opened = false;
-    p.mustDiscard = false;
-    p.canDiscard = false;
-
     // reset per-player score (in team mode we mirror team score anyway)
     p.score = 0;
+    p.ratingChange = null;
+
+    // time bank is per game
+    p.timeBankMs = (g.timer?.timeBankSeconds || 0) * 1000;
   });
 
+  // the finished game stays replayable until the next one ends
+  g.lastGameHistory = g.history || [];
+  g.history = [];
+  recordSnapshot(g, "deal");
+
   g.log.push("New game started (scores reset)");
   emit(room);
 });
 });
 
-function scoreRound(g) {
-  const openedPts = (p) => p.openedSets.flat().reduce((s, c) => s + (c.points || 0), 0);
-  const handPts = (p) => p.hand.reduce((s, c) => s + (c.points || 0), 0);
-
-  // ✅ winner identity should be stable (pid). fallback to id if needed.
-  const winnerPid =
-    g.winnerPid ??
-    (g.winner ? g.players.find((pp) => pp.id === g.winner)?.pid : null);
-
-  // INDIVIDUAL MODE
-  if (!g.teamMode) {
-    g.players.forEach((p) => {
-      const isWinner = winnerPid ? p.pid === winnerPid : p.id === g.winner;
-
-      if (isWinner) {
-        const gain = openedPts(p) + 10;
-        p.score += gain;
-        return;
-      }
-
-      let net = openedPts(p) - handPts(p);
-      if (!p.opened) net *= 2;
-      p.score += net;
-    });
-    return;
-  }
-
-  // TEAM MODE
-  if (!g.teamScores) g.teamScores = { 0: 0, 1: 0 };
-
-  const teamDelta = { 0: 0, 1: 0 };
-
-  g.players.forEach((p) => {
-    const team = p.team;
-    if (team !== 0 && team !== 1) return;
-
-    const isWinner = winnerPid ? p.pid === winnerPid : p.id === g.winner;
-
-    if (isWinner) {
-      const gain = openedPts(p) + 10;
-      teamDelta[team] += gain;
-      return;
-    }
-
-    let net = openedPts(p) - handPts(p);
-    if (!p.opened) net *= 2;
-    teamDelta[team] += net;
-  });
-
-  g.teamScores[0] = (g.teamScores[0] || 0) + teamDelta[0];
-  g.teamScores[1] = (g.teamScores[1] || 0) + teamDelta[1];
+/* ---------- EMIT ---------- */
 
-  // mirror team score onto each player for compatibility with current UI
-  g.players.forEach((p) => {
-    if (p.team === 0 || p.team === 1) p.score = g.teamScores[p.team] || 0;
-  });
+/**
+ * Per-viewer projection of a game.
+ * Built field-by-field (never `...g`) so server-only state can't leak:
+ * - closed: only its size goes out (closedCount)
+ * - pid / winnerPid: never sent (pid is the secret session token)
+ * - hand / noDiscardCardId / undoCount: only for the viewer's own seat
+ */
+function projectPlayer(x, viewerId) {
+  const isViewer = viewerId != null && x.id === viewerId;
+
+  return {
+    id: x.id,
+    profileId: x.bot ? null : profileIdOf(x),
+    name: x.name,
+    team: x.team,
+    score: x.score,
+    opened: x.opened,
+    openedSets: x.openedSets,
+    mustDiscard: x.mustDiscard,
+    canDiscard: x.canDiscard,
+    handCount: x.hand.length,
+    timeBankMs: x.timeBankMs || 0,
+    status: x.status || "away",
+    lastSeen: x.lastSeen || null,
+    ratingChange: x.ratingChange || null,
+    ...(isViewer
+      ? { hand: x.hand, noDiscardCardId: x.noDiscardCardId ?? null, undoCount: x.undoStack?.length || 0 }
+      : {})
+  };
 }
 
-function checkWin(g) {
-  if (!g.teamMode) {
-    if (g.players.some((p) => p.score >= WIN_SCORE)) g.gameOver = true;
-    return;
-  }
-
-  if (!g.teamScores) g.teamScores = { 0: 0, 1: 0 };
-  if ((g.teamScores[0] || 0) >= WIN_SCORE || (g.teamScores[1] || 0) >= WIN_SCORE) {
-    g.gameOver = true;
-  }
+function projectState(g, viewerId) {
+  return {
+    room: g.room,
+    teamMode: g.teamMode,
+    rules: rulesFor(g),
+    // host / starter go out as public ids (pids stay server-side)
+    hostId: g.players.find((p) => p.pid === g.hostPid)?.id ?? null,
+    locked: !!g.locked,
+    isPublic: !!g.public,
+    hasPassword: !!g.passwordHash,
+    nextStarterId: g.players.find((p) => p.pid === g.nextStarterPid)?.id ?? null,
+    teams: g.teams,
+    teamScores: g.teamScores,
+    scoresheet: g.scoresheet || [],
+    dealerIndex: g.dealerIndex,
+    turn: g.turn,
+    roundOver: g.roundOver,
+    winner: g.winner,
+    gameOver: g.gameOver,
+    log: g.log,
+    timer: g.timer || null,
+    turnDeadline: g.turnDeadline ?? null,
+    usingTimeBank: !!g.usingTimeBank,
+    serverNow: Date.now(),
+    open: g.open,
+    closedCount: g.closed.length,
+    // deck exhaustion: turns since the last meld on an empty closed stack
+    stallTurns: g.stallTurns || 0,
+    reshuffles: g.reshuffles || 0,
+    exhausted: !!g.exhausted,
+    // commit-reveal: the hash is public from the deal, the seed only once the round is over
+    deckHash: g.deckHash ?? null,
+    deckSeed: g.roundOver || g.gameOver ? g.deckSeed ?? null : null,
+    players: g.players.map((x) => projectPlayer(x, viewerId)),
+    spectators: (g.spectators || []).map((sp) => ({ id: sp.id, profileId: profileIdOf(sp), name: sp.name, status: sp.status }))
+  };
 }
-/* ---------- EMIT ---------- */
 
 function emit(room) {
   const g = games[room];
@@ -940,14 +1809,22 @@ function emit(room) {
 
   // ensure g.teams is always up to date in team mode
   syncTeams(g);
+  syncHost(g);
+
+  // (re)arm the shot clock whenever the turn moved
+  syncTurnTimer(room);
+  scheduleBot(room);
+
+  // every mutating handler ends in emit(), so this is the single write point
+  saveRoom(room);
+  touchLobby();
 
   g.players.forEach((p) => {
-    io.to(p.id).emit("gameState", {
-      ...g,
-      players: g.players.map((x) => ({
-        ...x,
-        hand: x.id === p.id ? x.hand : maskHand(x.hand)
-      }))
-    });
+    io.to(p.id).emit("gameState", projectState(g, p.id));
+  });
+
+  // spectators get the public table (no viewer => no hand at all)
+  (g.spectators || []).forEach((sp) => {
+    io.to(sp.id).emit("gameState", projectState(g, null));
   });
 }
\ No newline at end of file
@@ -0,0 +1,82 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomBytes } from "crypto";
+
+// One JSON file per room (profiles in a profiles/ subfolder). Writes go to a
+// temp file first and are renamed into place, so a crash mid-write never
+// leaves a half-written room.
+export async function createFileStorage(dir) {
+  const profileDir = path.join(dir, "profiles");
+  await fs.mkdir(profileDir, { recursive: true });
+
+  const fileFor = (room) => path.join(dir, `${encodeURIComponent(room)}.json`);
+  const profileFile = (id) => path.join(profileDir, `${encodeURIComponent(id)}.json`);
+
+  // serialize writes per room so an older snapshot never lands last
+  const pending = new Map();
+  const queue = (room, job) => {
+    const next = (pending.get(room) || Promise.resolve()).then(job, job);
+    pending.set(room, next);
+    next.finally(() => {
+      if (pending.get(room) === next) pending.delete(room);
+    });
+    return next;
+  };
+
+  const readJsonDir = async (from, keyOf, what) => {
+    const out = {};
+    for (const name of await fs.readdir(from)) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const item = JSON.parse(await fs.readFile(path.join(from, name), "utf8"));
+        if (keyOf(item)) out[keyOf(item)] = item;
+      } catch (err) {
+        console.error(`Skipping unreadable ${what} file`, name, err.message);
+      }
+    }
+    return out;
+  };
+
+  const writeAtomic = async (file, json) => {
+    await fs.writeFile(`${file}.tmp`, json);
+    await fs.rename(`${file}.tmp`, file);
+  };
+
+  return {
+    kind: "file",
+    loadAll() {
+      return readJsonDir(dir, (game) => game?.room, "room");
+    },
+    save(room, game) {
+      const json = JSON.stringify(game);
+      return queue(room, () => writeAtomic(fileFor(room), json));
+    },
+    remove(room) {
+      return queue(room, () => fs.rm(fileFor(room), { force: true }));
+    },
+    loadProfiles() {
+      return readJsonDir(profileDir, (profile) => profile?.id, "profile");
+    },
+    saveProfile(id, profile) {
+      const json = JSON.stringify(profile);
+      return queue(`profile:${id}`, () => writeAtomic(profileFile(id), json));
+    },
+    async sessionSecret() {
+      const file = path.join(dir, "session-secret");
+      try {
+        return (await fs.readFile(file, "utf8")).trim();
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+      // "wx": a second process starting at the same moment keeps the first one's key
+      const secret = randomBytes(32).toString("hex");
+      try {
+        await fs.writeFile(file, secret, { flag: "wx", mode: 0o600 });
+        return secret;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+        return (await fs.readFile(file, "utf8")).trim();
+      }
+    }
+  };
+}
@@ -0,0 +1,27 @@
+import { createMemoryStorage } from "./memory.js";
+import { createFileStorage } from "./file.js";
+import { createSqliteStorage } from "./sqlite.js";
+
+/**
+ * Room (and player profile) storage.
+ * Every backend exposes the same async interface:
+ * - loadAll()               -> { [room]: game }
+ * - save(room, game)        -> persist one room (full snapshot)
+ * - remove(room)            -> forget one room
+ * - loadProfiles()          -> { [profileId]: profile }
+ * - saveProfile(id, profile) -> persist one profile (full snapshot)
+ * - sessionSecret()         -> key that signs session tokens, created once and kept
+ *
+ * Picked with PINAK_STORAGE=memory|file|sqlite (default: memory).
+ * PINAK_STORAGE_PATH is the directory (file) or database file (sqlite).
+ */
+export async function createStorage({
+  kind = process.env.PINAK_STORAGE || "memory",
+  path = process.env.PINAK_STORAGE_PATH
+} = {}) {
+  if (kind === "memory") return createMemoryStorage();
+  if (kind === "file") return createFileStorage(path || "./data/rooms");
+  if (kind === "sqlite") return createSqliteStorage(path || "./data/pinak.db");
+
+  throw new Error(`Unknown PINAK_STORAGE "${kind}" (use memory, file or sqlite)`);
+}
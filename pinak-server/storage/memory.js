@@ -0,0 +1,30 @@
+import { randomBytes } from "crypto";
+
+// Keeps nothing beyond the process lifetime (previous behaviour).
+export function createMemoryStorage() {
+  const rooms = new Map();
+  const profiles = new Map();
+  const secret = randomBytes(32).toString("hex");
+
+  return {
+    kind: "memory",
+    async loadAll() {
+      return Object.fromEntries(rooms);
+    },
+    async save(room, game) {
+      rooms.set(room, structuredClone(game));
+    },
+    async remove(room) {
+      rooms.delete(room);
+    },
+    async loadProfiles() {
+      return Object.fromEntries(profiles);
+    },
+    async saveProfile(id, profile) {
+      profiles.set(id, structuredClone(profile));
+    },
+    async sessionSecret() {
+      return secret;
+    }
+  };
+}
@@ -0,0 +1,88 @@
+import fs from "fs/promises";
+import path from "path";
+import { randomBytes } from "crypto";
+
+// Embedded SQLite via better-sqlite3 (an optional dependency, loaded only
+// when this backend is picked).
+export async function createSqliteStorage(file) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch {
+    throw new Error("PINAK_STORAGE=sqlite needs the better-sqlite3 package installed");
+  }
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rooms (
+      room TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS profiles (
+      id TEXT PRIMARY KEY,
+      profile TEXT NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    )
+  `);
+
+  const upsert = db.prepare(`
+    INSERT INTO rooms (room, state, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(room) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+  `);
+  const del = db.prepare("DELETE FROM rooms WHERE room = ?");
+  const all = db.prepare("SELECT room, state FROM rooms");
+  const upsertProfile = db.prepare(`
+    INSERT INTO profiles (id, profile, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET profile = excluded.profile, updated_at = excluded.updated_at
+  `);
+  const allProfiles = db.prepare("SELECT id, profile FROM profiles");
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?");
+  const addMeta = db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)");
+
+  return {
+    kind: "sqlite",
+    async loadAll() {
+      const out = {};
+      for (const row of all.all()) {
+        try {
+          out[row.room] = JSON.parse(row.state);
+        } catch (err) {
+          console.error("Skipping unreadable room row", row.room, err.message);
+        }
+      }
+      return out;
+    },
+    async save(room, game) {
+      upsert.run(room, JSON.stringify(game), Date.now());
+    },
+    async remove(room) {
+      del.run(room);
+    },
+    async loadProfiles() {
+      const out = {};
+      for (const row of allProfiles.all()) {
+        try {
+          out[row.id] = JSON.parse(row.profile);
+        } catch (err) {
+          console.error("Skipping unreadable profile row", row.id, err.message);
+        }
+      }
+      return out;
+    },
+    async saveProfile(id, profile) {
+      upsertProfile.run(id, JSON.stringify(profile), Date.now());
+    },
+    async sessionSecret() {
+      addMeta.run("session_secret", randomBytes(32).toString("hex"));
+      return getMeta.get("session_secret").value;
+    }
+  };
+}
@@ -1,6 +1,18 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import { io } from "socket.io-client";
 import { motion, AnimatePresence } from "framer-motion";
+import {
+  CHAT_REACTIONS,
+  DEFAULT_RULES,
+  ERROR_MESSAGES,
+  MAX_RESHUFFLES,
+  applyAction,
+  autoPlayTurn,
+  buildDeck,
+  jokerEndChoice,
+  rulesFor,
+  validRun
+} from "pinak-rules";
 
 const SERVER_URL = import.meta.env.VITE_SERVER_URL || "http://localhost:3001";
 
@@ -10,44 +22,14 @@ const socket = io(SERVER_URL, {
   upgrade: false
 });
 
+/* ---------- CHAT CONSTANTS ---------- */
+// one-tap messages for when typing with a hand of cards is a pain
+const QUICK_PHRASES = ["Nice!", "Hurry up 😅", "GG", "Oops", "Well played", "Thanks!"];
+
 /* ---------- SORT CONSTANTS ---------- */
 const SUIT_ORDER = ["♠", "♥", "♦", "♣"];
 const VALUE_ORDER = ["3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
 
-// --- client-side run validation (matches server rules) ---
-const ORDER = ["3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
-const INDEX = Object.fromEntries(ORDER.map((v, i) => [v, i]));
-
-function validRunClient(cards) {
-  if (!Array.isArray(cards) || cards.length < 3) return false;
-
-  const real = cards.filter((c) => c && c.value !== "2");
-  const jokers = cards.length - real.length;
-
-  // max 1 joker per run
-  if (jokers > 1) return false;
-
-  // need at least 2 real cards
-  if (real.length < 2) return false;
-
-  // all real cards same suit
-  const suit = real[0].suit;
-  if (!real.every((c) => c.suit === suit)) return false;
-
-  // map values to indexes and sort
-  const idx = real.map((c) => INDEX[c.value]).sort((a, b) => a - b);
-
-  // reject duplicates + count gaps
-  let gaps = 0;
-  for (let i = 1; i < idx.length; i++) {
-    const diff = idx[i] - idx[i - 1] - 1;
-    if (diff < 0) return false;       // duplicate or out of order
-    gaps += diff;
-  }
-
-  return gaps <= jokers;
-}
-
 /* ---------- SUIT UI ---------- */
 function suitColor(suit) {
   if (suit === "♥" || suit === "♦") return "#ff3b3b";
@@ -83,14 +65,30 @@ function MiniCard({ card, selected, sizeStyle }) {
     >
       <span style={{ color: suitColor(card.suit), fontWeight: 950 }}>
         {card.value}
+        {card.rep ? ` = ${card.rep}` : ""}
         {card.suit}
       </span>
     </div>
   );
 }
 
+/* ---------- PRESENCE ---------- */
+const PRESENCE_LABEL = { connected: "Online", away: "Offline", left: "Left the table" };
+
+function PresenceDot({ player }) {
+  const status = player?.status || "away";
+  const color = status === "connected" ? "#2ecc71" : status === "away" ? "#ffb020" : "rgba(255,255,255,0.35)";
+
+  return (
+    <span
+      title={PRESENCE_LABEL[status] || status}
+      style={{ ...styles.presenceDot, background: color }}
+    />
+  );
+}
+
 /* ---------- OPENED SETS (compact fan strip) ---------- */
-function FanSet({ set, isTarget, compact = true }) {
+function FanSet({ set, isTarget, compact = true, onJokerTap }) {
   const maxShown = compact ? 6 : 10;
   const shown = (set || []).slice(0, maxShown);
   const extra = (set || []).length - shown.length;
@@ -118,10 +116,26 @@ function FanSet({ set, isTarget, compact = true }) {
           const rot = (t - 0.5) * 2 * tilt;
           const x = (t - 0.5) * totalW;
           const y = lift - Math.abs(rot) * dropK;
+          const swappable = !!onJokerTap && c.value === "2";
 
 return (
   <span
     key={c.id || i}
+    onClick={
+      swappable
+        ? (e) => {
+            e.stopPropagation();
+            onJokerTap(c);
+          }
+        : undefined
+    }
+    title={
+      swappable
+        ? `2 = ${c.rep ?? "?"}${c.suit}: select that card, then tap to swap`
+        : c.rep
+        ? `2 = ${c.rep}${c.suit}`
+        : undefined
+    }
     style={{
       ...(compact ? styles.fanCardCompact : styles.fanCard),
       position: "absolute",
@@ -130,7 +144,8 @@ return (
       transform: `translateX(-50%) translateX(${x}px) translateY(${-y}px) rotate(${rot}deg)`,
       transformOrigin: "50% 95%",
       background: cardFaceBg(c),
-      overflow: "hidden"
+      overflow: "hidden",
+      ...(swappable ? styles.fanCardSwappable : null)
     }}
   >
     {/* top-left pip */}
@@ -148,6 +163,7 @@ return (
       }}
     >
       <span>{c.value}</span>
+      {c.rep && <span style={styles.jokerRep}>={c.rep}</span>}
       <span style={{ marginTop: 1 }}>{c.suit}</span>
     </div>
 
@@ -245,7 +261,7 @@ function Seat({
 
           <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
             <Badge>{player.score}</Badge>
-            <Badge>{player.hand?.length ?? 0}🂠</Badge>
+            <Badge>{player.handCount ?? 0}🂠</Badge>
           </div>
         </div>
       )}
@@ -279,6 +295,700 @@ function Seat({
   );
 }
 
+/* ---------- TURN CLOCK ---------- */
+function TurnClock({ deadline, serverOffset, usingBank }) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const t = window.setInterval(() => setNow(Date.now()), 250);
+    return () => window.clearInterval(t);
+  }, []);
+
+  const left = Math.max(0, Math.ceil((deadline - (now + serverOffset)) / 1000));
+  const urgent = left <= 10;
+
+  return (
+    <div
+      style={{ ...styles.turnClock, ...(urgent ? styles.turnClockUrgent : null) }}
+      title={usingBank ? "Using time bank" : "Time left this turn"}
+    >
+      {usingBank ? "🏦" : "⏱"} {left}s
+    </div>
+  );
+}
+
+/* ---------- DEAL CHECK (commit-reveal) ---------- */
+
+async function sha256Hex(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(buf)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// record = what this client saw at the deal: { hash, seat, handIds, firstOpenId, handSize }
+async function verifyDeal(record, seed) {
+  if (!globalThis.crypto?.subtle) return "unsupported"; // needs https (or localhost)
+  if ((await sha256Hex(seed)) !== record.hash) return "bad";
+
+  const deck = buildDeck(seed);
+  if (record.firstOpenId && deck[deck.length - 1].id !== record.firstOpenId) return "bad";
+  if (!record.handIds) return "hash";
+
+  const n = record.handSize;
+  const dealt = deck.slice(record.seat * n, (record.seat + 1) * n).map((c) => c.id);
+  return dealt.sort().join() === [...record.handIds].sort().join() ? "ok" : "bad";
+}
+
+const DEAL_CHECK_LABEL = {
+  ok: "🔐 Deal verified against the published hash",
+  hash: "🔐 Shuffle seed matches the published hash",
+  bad: "⚠️ Deal does not match the published hash",
+  unsupported: "Deal check needs a secure (https) connection"
+};
+
+/* ---------- HOUSE RULES ---------- */
+
+function rulesSummary(rules) {
+  const r = rules || DEFAULT_RULES;
+  return [
+    `Play to ${r.winScore}`,
+    `${r.handSize}-card hands`,
+    `${r.maxJokersPerRun} joker${r.maxJokersPerRun === 1 ? "" : "s"} per run`,
+    `A = ${r.acePoints}, 2 = ${r.jokerPoints} pts`,
+    `Unopened penalty ×${r.unopenedMultiplier}`,
+    r.noDiscardDrawnCard ? "Can't discard the lone open card you took" : "Lone open card may be discarded",
+    r.dryDeck === "endRound" ? "Dry deck stalemate ends the round" : "Dry deck stalemate reshuffles",
+    ...(r.jokerSwap ? ["Jokers can be swapped out"] : [])
+  ].join(" · ");
+}
+
+function RuleSelect({ label, value, options, onChange, format = (v) => v }) {
+  return (
+    <label style={styles.selectLabel}>
+      {label}
+      <select style={styles.input} value={value} onChange={(e) => onChange(Number(e.target.value))}>
+        {options.map((v) => (
+          <option key={v} value={v}>
+            {format(v)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+/* ---------- PUBLIC ROOMS ---------- */
+
+function seatText(r) {
+  if (!r.teamMode) return `${r.seats}/${r.maxSeats}`;
+  return `T1 ${r.teamSeats?.[0] ?? 0}/2 · T2 ${r.teamSeats?.[1] ?? 0}/2`;
+}
+
+function RoomBrowser({ rooms, onJoin, onWatch }) {
+  if (!rooms.length) {
+    return <div style={styles.miniLabel}>No public tables right now. Create one and tick “Public”.</div>;
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+      {rooms.map((r) => {
+        const full = r.seats >= r.maxSeats;
+        return (
+          <div key={r.room} style={styles.roomRow}>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontWeight: 950, color: stylesTokens.textStrong }}>
+                {r.locked && "🔒 "}
+                {r.hasPassword && "🔑 "}
+                {r.room}
+                <span style={{ ...styles.miniLabel, marginLeft: 8 }}>
+                  {r.teamMode ? "Teams" : "Solo"} · to {r.winScore}
+                </span>
+              </div>
+              <div style={styles.miniLabel}>
+                {seatText(r)} seated{r.bots ? ` (${r.bots} 🤖)` : ""} · {r.inRound ? "round in progress" : "waiting"}
+                {r.host ? ` · host ${r.host}` : ""}
+              </div>
+            </div>
+
+            {!r.teamMode && (
+              <button
+                type="button"
+                style={styles.primaryBtnTiny}
+                disabled={full || r.locked}
+                onClick={() => onJoin(r, null)}
+              >
+                Join
+              </button>
+            )}
+            {r.teamMode &&
+              [0, 1].map((t) => (
+                <button
+                  key={t}
+                  type="button"
+                  style={styles.primaryBtnTiny}
+                  disabled={full || r.locked || (r.teamSeats?.[t] ?? 0) >= 2}
+                  onClick={() => onJoin(r, t)}
+                >
+                  Team {t + 1}
+                </button>
+              ))}
+            <button type="button" style={styles.secondaryBtnTiny} onClick={() => onWatch(r)}>
+              👀
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+/* ---------- HOST PANEL ---------- */
+
+// Kick / seat order / next starter. Seats only move between rounds (server enforces too).
+function HostPanel({ game, me, onAction, onInvite, onClose }) {
+  const [redeal, setRedeal] = useState(false);
+  const betweenRounds = game.roundOver || game.gameOver;
+  const players = game.players || [];
+
+  return (
+    <div style={styles.hostPanel}>
+      <div style={styles.replayHeader}>
+        <div style={{ fontWeight: 950 }}>👑 Host controls</div>
+        <button type="button" style={styles.secondaryBtnTiny} onClick={onClose}>
+          ✕
+        </button>
+      </div>
+
+      <button
+        type="button"
+        style={{ ...styles.secondaryBtnTiny, width: "100%", marginTop: 8 }}
+        onClick={onInvite}
+        title="One-time link: lets one person take a seat without the password"
+      >
+        🔗 Copy invite link
+      </button>
+
+      <label style={styles.checkboxRow}>
+        <input
+          type="checkbox"
+          checked={!!game.isPublic}
+          onChange={(e) => onAction("setPublic", { isPublic: e.target.checked })}
+        />
+        <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 800 }}>Listed in the public lobby</span>
+      </label>
+
+      {!betweenRounds && (
+        <label style={styles.checkboxRow}>
+          <input type="checkbox" checked={redeal} onChange={(e) => setRedeal(e.target.checked)} />
+          <span style={{ marginLeft: 8, fontSize: 12, fontWeight: 800 }}>
+            Redeal the round when kicking (otherwise their cards go back into the deck)
+          </span>
+        </label>
+      )}
+
+      {players.map((p, i) => (
+        <div key={p.id} style={styles.hostRow}>
+          <span style={{ flex: 1, fontWeight: 900, fontSize: 13 }}>
+            {i + 1}. {p.name}
+            {p.id === game.nextStarterId && " ⭐"}
+          </span>
+
+          {betweenRounds && (
+            <>
+              <button
+                type="button"
+                style={styles.hostBtn}
+                disabled={i === 0}
+                onClick={() => onAction("moveSeat", { playerId: p.id, toIndex: i - 1 })}
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                style={styles.hostBtn}
+                disabled={i === players.length - 1}
+                onClick={() => onAction("moveSeat", { playerId: p.id, toIndex: i + 1 })}
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                style={styles.hostBtn}
+                onClick={() => onAction("setStarter", { playerId: p.id })}
+                title="Starts the next round"
+              >
+                ⭐
+              </button>
+            </>
+          )}
+
+          {p.id !== me?.id && (
+            <button
+              type="button"
+              style={{ ...styles.hostBtn, width: "auto", padding: "0 8px" }}
+              onClick={() => {
+                if (!window.confirm(`Remove ${p.name} from the room?`)) return;
+                onAction("kickPlayer", { playerId: p.id, mode: redeal ? "redeal" : "return" });
+              }}
+            >
+              Kick
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ---------- REPLAY ---------- */
+
+// Re-runs the server's action log through the shared reducer: one frame per entry.
+function buildReplayFrames(history) {
+  const frames = [];
+  let state = null;
+
+  for (const entry of history || []) {
+    if (entry.snapshot) {
+      state = structuredClone(entry.snapshot);
+    } else if (state) {
+      // the log stores seats; ids come from the snapshot being replayed
+      const playerId = state.players[entry.seat]?.id;
+      const { targetSeat, ...action } = entry.action || {};
+      if (targetSeat != null) action.targetPlayer = state.players[targetSeat]?.id;
+
+      const res =
+        entry.type === "autoPlay"
+          ? autoPlayTurn(state, playerId)
+          : applyAction(state, { ...action, playerId });
+      if (res.error) continue;
+      state = res.state;
+    } else {
+      continue;
+    }
+
+    frames.push({ entry, state });
+  }
+
+  return frames;
+}
+
+function findCardIn(state, id) {
+  if (!state) return null;
+  const piles = [
+    state.open,
+    state.closed,
+    ...state.players.flatMap((p) => [p.hand, ...(p.openedSets || [])])
+  ];
+  for (const pile of piles) {
+    const c = (pile || []).find((x) => x.id === id);
+    if (c) return c;
+  }
+  return null;
+}
+
+function describeReplayStep(entry, before) {
+  const who = entry.actor || "Someone";
+  const cards = (entry.cardIds || [])
+    .map((id) => findCardIn(before, id))
+    .filter(Boolean)
+    .map((c) => `${c.value}${c.suit}`)
+    .join(" ");
+
+  let text;
+  switch (entry.type) {
+    case "deal":
+      text = `Round ${entry.round} dealt`;
+      break;
+    case "seat":
+      text = "Seats changed";
+      break;
+    case "drawClosed":
+      text = `${who} drew ${cards} from the closed stack`;
+      break;
+    case "drawOpen":
+      text = `${who} took ${entry.count} from the open stack: ${cards}`;
+      break;
+    case "discard":
+      text = `${who} discarded ${cards}`;
+      break;
+    case "openRun":
+      text = `${who} opened a run: ${cards}`;
+      break;
+    case "addToRun": {
+      const owner = before?.players[entry.target?.seat]?.name || "a";
+      text = `${who} added ${cards} to ${owner}'s run`;
+      break;
+    }
+    case "swapJoker": {
+      const owner = before?.players[entry.target?.seat]?.name || "a";
+      text = `${who} swapped ${cards.split(" ")[0]} for the joker in ${owner}'s run`;
+      break;
+    }
+    case "undo": {
+      // the cards sit in a run right before the undo
+      const undone = entry.events?.[0]?.undone === "openRun" ? "run" : "add";
+      text = `${who} took back their ${undone}: ${cards}`;
+      break;
+    }
+    case "endTurn":
+      text = `${who} ended the turn`;
+      break;
+    case "playerWentOut":
+      text = `${who} went out`;
+      break;
+    case "autoPlay":
+      text = `${who} was auto-played`;
+      break;
+    case "forceEndTurn":
+      text = `${who} ran out of time, turn passed${cards ? `: threw ${cards}` : ""}`;
+      break;
+    default:
+      text = `${who}: ${entry.type}`;
+  }
+
+  if (entry.events?.some((e) => e.type === "reshuffle")) text += " · nobody could meld, open stack reshuffled";
+  if (entry.events?.some((e) => e.exhausted)) text += " · deck exhausted, round over";
+
+  if (entry.scoreDeltas) {
+    const deltas = entry.scoreDeltas
+      .filter((d) => d.delta)
+      .map((d) => `${d.name ?? `Team ${d.team + 1}`} ${d.delta > 0 ? "+" : ""}${d.delta}`);
+    if (deltas.length) text += ` · ${deltas.join(", ")}`;
+  }
+
+  return text;
+}
+
+function ReplayViewer({ history, onClose }) {
+  const frames = useMemo(() => buildReplayFrames(history), [history]);
+  const [step, setStep] = useState(0);
+
+  const last = Math.max(0, frames.length - 1);
+  const frame = frames[Math.min(step, last)];
+  if (!frame) return null;
+
+  const { state, entry } = frame;
+  const before = step > 0 ? frames[step - 1].state : null;
+  const go = (i) => setStep(Math.max(0, Math.min(last, i)));
+
+  return (
+    <div style={styles.replayWrap}>
+      <div style={styles.replayCard}>
+        <div style={styles.replayHeader}>
+          <div style={{ fontWeight: 950 }}>📼 Replay · Round {state.roundNo}</div>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div style={styles.replayStep}>
+          <span style={{ opacity: 0.7 }}>
+            {step + 1}/{frames.length} · {new Date(entry.ts).toLocaleTimeString()}
+          </span>
+          <div>{describeReplayStep(entry, before)}</div>
+        </div>
+
+        <div style={styles.replayPiles}>
+          <span style={styles.miniLabel}>Closed: {state.closed.length}</span>
+          <span style={styles.miniLabel}>Open:</span>
+          {state.open.slice(-6).map((c) => (
+            <MiniCard key={c.id} card={c} />
+          ))}
+          {state.teamMode && (
+            <span style={styles.miniLabel}>
+              Teams: {state.teamScores?.[0] ?? 0} – {state.teamScores?.[1] ?? 0}
+            </span>
+          )}
+        </div>
+
+        {state.players.map((p, seat) => (
+          <div
+            key={seat}
+            style={{
+              ...styles.replaySeat,
+              outline: seat === state.turn && !state.roundOver ? "1px solid rgba(255,255,255,0.55)" : "none"
+            }}
+          >
+            <div style={{ fontWeight: 900 }}>
+              {p.name} · {p.score ?? 0} pts
+              {state.winner === p.id && " 🏆"}
+            </div>
+            <div style={styles.replayHand}>
+              {p.hand.map((c) => (
+                <MiniCard key={c.id} card={c} />
+              ))}
+            </div>
+            {(p.openedSets || []).length > 0 && (
+              <div style={styles.replayHand}>
+                {p.openedSets.map((set, i) => (
+                  <FanSet key={i} set={set} />
+                ))}
+              </div>
+            )}
+          </div>
+        ))}
+
+        <div style={styles.replayControls}>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={() => go(0)}>⏮</button>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={() => go(step - 1)}>◀</button>
+          <input
+            type="range"
+            min={0}
+            max={last}
+            value={Math.min(step, last)}
+            onChange={(e) => go(Number(e.target.value))}
+            style={{ flex: 1 }}
+          />
+          <button type="button" style={styles.secondaryBtnTiny} onClick={() => go(step + 1)}>▶</button>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={() => go(last)}>⏭</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------- SCORESHEET ---------- */
+
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+// g.scoresheet, newest round first: how every delta was made up
+function ScoreSheet({ sheet, teamMode, onClose }) {
+  const rounds = [...(sheet || [])].reverse();
+
+  return (
+    <div style={styles.replayWrap} onClick={onClose}>
+      <div style={styles.replayCard} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.replayHeader}>
+          <div style={{ fontWeight: 950 }}>📋 Scoresheet</div>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {!rounds.length && <div style={{ ...styles.miniLabel, marginTop: 10 }}>No rounds scored yet.</div>}
+
+        {rounds.map((r, i) => (
+          <div key={`${r.round}-${i}`} style={styles.sheetRound}>
+            <div style={{ fontWeight: 900 }}>
+              Round {r.round} · {r.exhausted ? "deck exhausted, nobody went out" : `${r.winner ?? "?"} went out`}
+            </div>
+
+            <table style={styles.sheetTable}>
+              <thead>
+                <tr>
+                  {["", "Table", "Hand", "×", "Bonus", "Δ", "Total"].map((h) => (
+                    <th key={h} style={styles.sheetHead}>
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {r.players.map((p) => {
+                  // rows saved before the opened flag only have the multiplier to go on
+                  const neverOpened = p.opened != null ? !p.opened && !p.bonus : p.multiplier > 1;
+                  return (
+                    <tr key={p.playerId}>
+                      <td style={styles.sheetName}>
+                        {p.name}
+                        {teamMode && p.team != null ? ` · T${p.team + 1}` : ""}
+                      </td>
+                      <td style={styles.sheetCell}>{signed(p.openedPts)}</td>
+                      <td style={styles.sheetCell}>{p.handPts ? `−${p.handPts}` : "0"}</td>
+                      <td style={styles.sheetCell} title={neverOpened ? "Never opened" : undefined}>
+                        {neverOpened ? `×${p.multiplier}` : ""}
+                      </td>
+                      <td style={styles.sheetCell}>{p.bonus ? `+${p.bonus}` : ""}</td>
+                      <td style={{ ...styles.sheetCell, fontWeight: 950 }}>{signed(p.delta)}</td>
+                      <td style={styles.sheetCell}>{teamMode ? "" : p.total}</td>
+                    </tr>
+                  );
+                })}
+
+                {(r.teams || []).map((t) => (
+                  <tr key={`team-${t.team}`} style={styles.sheetTeamRow}>
+                    <td style={styles.sheetName}>Team {t.team + 1}</td>
+                    <td style={styles.sheetCell} colSpan={4} />
+                    <td style={{ ...styles.sheetCell, fontWeight: 950 }}>{signed(t.delta)}</td>
+                    <td style={styles.sheetCell}>{t.total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- PROFILE ---------- */
+
+const pct = (part, whole) => (whole ? `${Math.round((part / whole) * 100)}%` : "—");
+
+function ProfileView({ profile, onClose }) {
+  const t = profile.totals;
+  const rivals = Object.entries(profile.opponents || {})
+    .map(([id, r]) => ({ id, ...r }))
+    .sort((a, b) => b.games - a.games);
+
+  const stats = [
+    ["Rating", profile.ratedGames ? profile.rating : "—"],
+    ["Games", t.games],
+    ["Win rate", pct(t.wins, t.games)],
+    ["Avg pts / round", t.rounds ? (t.points / t.rounds).toFixed(1) : "—"],
+    ["Rounds won", `${t.roundsWon} / ${t.rounds}`],
+    ["Caught unopened", t.unopenedCaught]
+  ];
+
+  return (
+    <div style={styles.replayWrap} onClick={onClose}>
+      <div style={styles.replayCard} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.replayHeader}>
+          <div style={{ fontWeight: 950 }}>👤 {profile.name}</div>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div style={styles.profileStats}>
+          {stats.map(([label, value]) => (
+            <div key={label} style={styles.profileStat}>
+              <div style={{ fontWeight: 950, fontSize: 18 }}>{value}</div>
+              <div style={styles.miniLabel}>{label}</div>
+            </div>
+          ))}
+        </div>
+
+        <div style={{ ...styles.sheetRound, marginTop: 12 }}>
+          <div style={{ fontWeight: 900 }}>Head to head</div>
+          {!rivals.length && <div style={styles.miniLabel}>No games against other people yet.</div>}
+          {!!rivals.length && (
+            <table style={styles.sheetTable}>
+              <thead>
+                <tr>
+                  {["", "Games", "Won", "Lost"].map((h) => (
+                    <th key={h} style={styles.sheetHead}>
+                      {h}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rivals.map((r) => (
+                  <tr key={r.id}>
+                    <td style={styles.sheetName}>{r.name}</td>
+                    <td style={styles.sheetCell}>{r.games}</td>
+                    <td style={styles.sheetCell}>{r.wins}</td>
+                    <td style={styles.sheetCell}>{r.losses}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div style={{ ...styles.sheetRound, marginTop: 12 }}>
+          <div style={{ fontWeight: 900 }}>Recent games</div>
+          {(profile.matches || []).map((m) => (
+            <div key={`${m.room}-${m.endedAt}`} style={styles.profileMatch}>
+              <span>
+                {m.won ? "🏆" : "·"} {m.room} · {m.mode === "team" ? `team with ${m.teammates.join(", ") || "—"}` : "solo"}
+                {m.ratingDelta != null && ` · ${signed(m.ratingDelta)} rating`}
+              </span>
+              <span style={styles.miniLabel}>
+                {m.finalScores.map((f) => `${f.name} ${f.score}`).join(" · ")} · {new Date(m.endedAt).toLocaleDateString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function Leaderboard({ rows, onClose }) {
+  return (
+    <div style={styles.replayWrap} onClick={onClose}>
+      <div style={styles.replayCard} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.replayHeader}>
+          <div style={{ fontWeight: 950 }}>🏆 Leaderboard</div>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        {!rows.length && (
+          <div style={{ ...styles.miniLabel, marginTop: 10 }}>
+            Nobody is rated yet: ratings start after a game against another person.
+          </div>
+        )}
+
+        {!!rows.length && (
+          <table style={styles.sheetTable}>
+            <thead>
+              <tr>
+                {["#", "", "Rating", "Games", "Wins"].map((h) => (
+                  <th key={h} style={styles.sheetHead}>
+                    {h}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((r, i) => (
+                <tr key={r.id}>
+                  <td style={styles.sheetCell}>{i + 1}</td>
+                  <td style={styles.sheetName}>{r.name}</td>
+                  <td style={{ ...styles.sheetCell, fontWeight: 950 }}>{r.rating}</td>
+                  <td style={styles.sheetCell}>{r.games}</td>
+                  <td style={styles.sheetCell}>{r.wins}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ---------- JOKER END ---------- */
+
+// ask = { low, high, suit }: the ranks a spare joker could stand for at either end of the run
+function JokerEndPrompt({ ask, onPick, onClose }) {
+  return (
+    <div style={styles.replayWrap} onClick={onClose}>
+      <div style={{ ...styles.replayCard, ...styles.jokerEndCard }} onClick={(e) => e.stopPropagation()}>
+        <div style={styles.replayHeader}>
+          <div style={{ fontWeight: 950 }}>🃏 Which end for the joker?</div>
+          <button type="button" style={styles.secondaryBtnTiny} onClick={onClose}>
+            ✕
+          </button>
+        </div>
+
+        <div style={{ ...styles.miniLabel, marginTop: 8 }}>The joker can stand for either end of this run.</div>
+
+        <div style={styles.jokerEndRow}>
+          <button type="button" style={styles.primaryBtn} onClick={() => onPick("low")}>
+            Low end · {ask.low}
+            {ask.suit}
+          </button>
+          <button type="button" style={styles.primaryBtn} onClick={() => onPick("high")}>
+            High end · {ask.high}
+            {ask.suit}
+          </button>
+        </div>
+
+        <button type="button" style={{ ...styles.secondaryBtn, marginTop: 8 }} onClick={onClose}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
 function RotateOverlay() {
   return (
     <div style={styles.rotateWrap}>
@@ -299,9 +1009,30 @@ export default function App() {
   const [game, setGame] = useState(null);
 
   const [name, setName] = useState("");
-  const [room, setRoom] = useState("");
+  // invite links look like ?room=MOLA-38&invite=<token>
+  const [room, setRoom] = useState(() => new URLSearchParams(window.location.search).get("room") || "");
+  const [invite, setInvite] = useState(() => new URLSearchParams(window.location.search).get("invite") || "");
+  const [password, setPassword] = useState("");
   const [teamMode, setTeamMode] = useState(false);
   const [teamPick, setTeamPick] = useState(null);
+  const [turnSeconds, setTurnSeconds] = useState(0);
+  const [timeBankSeconds, setTimeBankSeconds] = useState(0);
+  const [serverOffset, setServerOffset] = useState(0);
+  const [botCount, setBotCount] = useState(0);
+  const [botLevel, setBotLevel] = useState("normal");
+  const [replay, setReplay] = useState(null);
+  const [dealCheck, setDealCheck] = useState(null);
+  const [houseRules, setHouseRules] = useState(DEFAULT_RULES);
+  const [showRules, setShowRules] = useState(false);
+  const [hostOpen, setHostOpen] = useState(false);
+  const [sheetOpen, setSheetOpen] = useState(false);
+  const [jokerEndAsk, setJokerEndAsk] = useState(null); // { low, high, suit, send } while the prompt is up
+  const sheetShownRef = useRef("");
+  const [isPublic, setIsPublic] = useState(false);
+  const [publicRooms, setPublicRooms] = useState([]);
+  const [profile, setProfile] = useState(null);
+  const [leaderboard, setLeaderboard] = useState(null);
+  const dealRef = useRef({});
 
   const [error, setError] = useState("");
   const [toast, setToast] = useState("");
@@ -323,6 +1054,20 @@ export default function App() {
 
   const [chatOpen, setChatOpen] = useState(true);
   const [chat, setChat] = useState([]);
+  const [teamChat, setTeamChat] = useState([]);
+  const [chatTab, setChatTab] = useState("table"); // "table" | "team"
+  const [chatUnread, setChatUnread] = useState({ table: false, team: false });
+  const chatTabRef = useRef("table"); // read by the socket listener
+  const [reactPickFor, setReactPickFor] = useState(null); // message id with the emoji picker open
+  const [seatPops, setSeatPops] = useState({}); // playerId -> { id, emoji }
+  // profileId -> name; local only: nobody is told. Kept next to pinak_token so it survives reloads
+  const [muted, setMuted] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem("pinak_muted")) || {};
+    } catch {
+      return {};
+    }
+  });
   const [chatText, setChatText] = useState("");
   const chatEndRef = useRef(null);
   const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
@@ -343,9 +1088,10 @@ export default function App() {
     .filter(Boolean);
 }, [selected, me?.hand]);
 
+const houseRulesInPlay = game?.rules;
 const isSelectedRunValid = useMemo(() => {
-  return selectedCards.length >= 3 && validRunClient(selectedCards);
-}, [selectedCards]);
+  return selectedCards.length >= 3 && validRun(selectedCards, rulesFor({ rules: houseRulesInPlay }));
+}, [selectedCards, houseRulesInPlay]);
 
   useEffect(() => {
   const players = game?.players || [];
@@ -355,8 +1101,8 @@ const isSelectedRunValid = useMemo(() => {
   const hitNames = [];
 
   for (const p of players) {
-    const key = p.pid || p.id; // stable enough
-    const currLen = p.hand?.length ?? 0;
+    const key = p.id; // session tokens never leave the server
+    const currLen = p.handCount ?? 0;
 
     // If we have a previous value and we JUST transitioned to exactly 1
     const hadPrev = prev.has(key);
@@ -387,16 +1133,66 @@ const isSelectedRunValid = useMemo(() => {
   }, 30_000);
 }, [game?.players]);
 
-  function sendChat() {
-  const text = chatText.trim();
+  // stalemate on a dry deck: flash the reshuffle once, in the same slot as the 1-card banner
+  const prevReshufflesRef = useRef(0);
+  useEffect(() => {
+    const reshuffles = game?.reshuffles || 0;
+    const grew = reshuffles > prevReshufflesRef.current;
+    prevReshufflesRef.current = reshuffles;
+    if (!grew) return;
+
+    setOneLeftBanner({ show: true, text: `♻️ Nobody could meld: open stack reshuffled (${game.closedCount} cards)` });
+    if (oneLeftTimerRef.current) window.clearTimeout(oneLeftTimerRef.current);
+    oneLeftTimerRef.current = window.setTimeout(() => {
+      setOneLeftBanner({ show: false, text: "" });
+      oneLeftTimerRef.current = null;
+    }, 6000);
+  }, [game?.reshuffles, game?.closedCount]);
+
+  // pop the scoresheet once per finished round
+  useEffect(() => {
+    if (!game?.roundOver || !game.scoresheet?.length) return;
+    const key = `${game.room}:${game.roundNo}:${game.scoresheet.length}`;
+    if (sheetShownRef.current === key) return;
+    sheetShownRef.current = key;
+    setSheetOpen(true);
+  }, [game?.roundOver, game?.room, game?.roundNo, game?.scoresheet?.length]);
+
+  function sendChat(phrase) {
+  const text = (phrase ?? chatText).trim();
   if (!text || !game) return;
 
-  const pid = localStorage.getItem("pinak_pid");
-  socket.emit("sendChat", { room: game.room, pid, name: me?.name, text });
+  safeEmit("sendChat", { room: game.room, text, channel: chatChannel });
 
-  setChatText("");
+  if (phrase == null) setChatText("");
 }
 
+  function reactToMessage(messageId, emoji) {
+    setReactPickFor(null);
+    safeEmit("reactChat", { room: game.room, messageId, emoji });
+  }
+
+  // keyed on the server-attached profileId, so a rename or a look-alike name can't dodge it
+  function toggleMute(profileId, name) {
+    if (!profileId) return;
+    setMuted((prev) => {
+      const next = { ...prev };
+      if (next[profileId]) delete next[profileId];
+      else next[profileId] = name;
+      return next;
+    });
+  }
+
+  useEffect(() => {
+    localStorage.setItem("pinak_muted", JSON.stringify(muted));
+  }, [muted]);
+
+  function pickChatTab(tab) {
+    chatTabRef.current = tab;
+    setChatTab(tab);
+    setChatUnread((prev) => ({ ...prev, [tab]: false }));
+  }
+
   useEffect(() => {
   if (!teamMode) setTeamPick(null);
 }, [teamMode]);
@@ -404,7 +1200,7 @@ const isSelectedRunValid = useMemo(() => {
   // Auto-scroll chat when a new message arrives
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [chat.length]);
+  }, [chat.length, teamChat.length, chatTab]);
 
   useEffect(() => {
     const mq = window.matchMedia("(orientation: landscape)");
@@ -485,19 +1281,37 @@ const isSelectedRunValid = useMemo(() => {
   };
 
 /* ---------- SOCKET ---------- */
-const reconnectOnceRef = useRef(false);
-
 useEffect(() => {
-  const onConnect = () => setConnected(true);
+  const onConnect = () => {
+    setConnected(true);
+
+    // ✅ every (re)connect gets a new socket id: rebind our seat
+    // (refresh / PWA resume / network blip / server restart)
+    const savedRoom = localStorage.getItem("pinak_room");
+    const token = localStorage.getItem("pinak_token");
+    if (savedRoom && token) {
+      socket.emit("reconnectRoom", { room: savedRoom, token }, (res) => {
+        // room expired or we were never seated there: stop trying on every connect
+        if (res?.code === "ROOM_NOT_FOUND" || res?.code === "NOT_IN_ROOM") {
+          localStorage.removeItem("pinak_room");
+        }
+      });
+    }
+  };
   const onDisconnect = () => setConnected(false);
 
-  const onYouAre = ({ pid }) => {
-    if (pid) localStorage.setItem("pinak_pid", pid);
+  // secret session token: the only thing that can rebind our seat, never shown to anyone
+  const onYouAre = ({ token }) => {
+    if (token) localStorage.setItem("pinak_token", token);
   };
 
   const onGameState = (state) => {
     setGame(state);
 
+    // ✅ the server may have generated (or case-corrected) the code: remember the real one
+    if (state?.room) localStorage.setItem("pinak_room", state.room);
+    if (state?.serverNow) setServerOffset(state.serverNow - Date.now());
+
     // pull history once when we first get a state for a room
 if (state?.room && lastChatRoomRef.current !== state.room) {
   lastChatRoomRef.current = state.room;
@@ -534,6 +1348,32 @@ if (state?.room && lastChatRoomRef.current !== state.room) {
     });
 
     if (!state.roundOver) wentOutSentRef.current = false;
+
+    // commit-reveal: remember the deal while it is untouched, verify once the seed is out
+    if (state.deckHash && dealRef.current.hash !== state.deckHash) {
+      dealRef.current = { hash: state.deckHash, seenBeforeReveal: !state.deckSeed };
+      setDealCheck(null);
+    }
+
+    const deal = dealRef.current;
+    const handSize = rulesFor(state).handSize;
+    const untouched =
+      state.open?.length === 1 && state.closedCount === 52 - 1 - handSize * state.players.length;
+    if (untouched && !state.roundOver) {
+      deal.firstOpenId = state.open[0].id;
+      const seat = state.players.findIndex((p) => p.id === socket.id);
+      if (seat >= 0 && meNext?.hand?.length === handSize) {
+        deal.seat = seat;
+        deal.handSize = handSize;
+        deal.handIds = meNext.hand.map((c) => c.id);
+      }
+    }
+
+    if (state.deckSeed && deal.seenBeforeReveal && !deal.checked) {
+      deal.checked = true;
+      const seed = state.deckSeed;
+      verifyDeal(deal, seed).then((status) => setDealCheck({ hash: deal.hash, status, seed }));
+    }
   };
 
   const onErrorMsg = (msg) => {
@@ -553,6 +1393,7 @@ if (state?.room && lastChatRoomRef.current !== state.room) {
 const onChatHistory = (payload = {}) => {
   const hist = payload.chat;
   setChat(Array.isArray(hist) ? hist.slice(-60) : []);
+  setTeamChat(Array.isArray(payload.teamChat) ? payload.teamChat.slice(-60) : []);
 };
 
 const onChatMsg = (payload) => {
@@ -560,14 +1401,63 @@ const onChatMsg = (payload) => {
   const msg = payload?.msg ?? payload;
   if (!msg) return;
 
-  setChat((prev) => {
+  // ✅ each channel keeps its own history; flag the tab that isn't showing
+  const channel = msg.channel === "team" ? "team" : "table";
+  const setList = channel === "team" ? setTeamChat : setChat;
+  setList((prev) => {
     if (msg.id && prev.some((m) => m.id === msg.id)) return prev; // dedupe
     return [...prev, msg].slice(-60);
   });
+  if (channel !== chatTabRef.current) setChatUnread((prev) => ({ ...prev, [channel]: true }));
+};
+
+const onChatReaction = ({ messageId, reactions } = {}) => {
+  // the message sits in whichever channel it was sent on
+  const patch = (prev) => prev.map((m) => (m.id === messageId ? { ...m, reactions } : m));
+  setChat(patch);
+  setTeamChat(patch);
+};
+
+const onSeatReaction = ({ id, playerId, profileId, emoji } = {}) => {
+  if (!playerId) return;
+  setSeatPops((prev) => ({ ...prev, [playerId]: { id, profileId, emoji } }));
+
+  // a newer pop on the same seat outlives this timer
+  window.setTimeout(() => {
+    setSeatPops((prev) => {
+      if (prev[playerId]?.id !== id) return prev;
+      const next = { ...prev };
+      delete next[playerId];
+      return next;
+    });
+  }, 2200);
 };
 
 socket.on("chatHistory", onChatHistory);
 socket.on("chatMsg", onChatMsg);
+socket.on("chatReaction", onChatReaction);
+socket.on("seatReaction", onSeatReaction);
+
+  const onReplay = (payload) => setReplay(payload?.history || null);
+  socket.on("replay", onReplay);
+
+  const onRoomList = (payload) => setPublicRooms(payload?.rooms || []);
+  socket.on("roomList", onRoomList);
+
+  const onKicked = () => {
+    localStorage.removeItem("pinak_room");
+    setGame(null);
+    onErrorMsg(ERROR_MESSAGES.KICKED);
+  };
+  socket.on("kicked", onKicked);
+
+  // same token opened elsewhere: that tab/device has the seat now
+  // (pinak_room stays: localStorage is shared with the tab that took over)
+  const onSuperseded = () => {
+    setGame(null);
+    onErrorMsg(ERROR_MESSAGES.SUPERSEDED);
+  };
+  socket.on("superseded", onSuperseded);
 
   return () => {
     socket.off("connect", onConnect);
@@ -577,24 +1467,31 @@ socket.on("chatMsg", onChatMsg);
     socket.off("errorMsg", onErrorMsg);
     socket.off("chatHistory", onChatHistory);
     socket.off("chatMsg", onChatMsg)
+    socket.off("chatReaction", onChatReaction);
+    socket.off("seatReaction", onSeatReaction);
+    socket.off("replay", onReplay);
+    socket.off("kicked", onKicked);
+    socket.off("superseded", onSuperseded);
+    socket.off("roomList", onRoomList);
   };
   // IMPORTANT: do NOT depend on discardPick/target/soundOn here
 }, []);
-/* ---------- AUTO RECONNECT ---------- */
-useEffect(() => {
-  if (!connected) return;
-  if (reconnectOnceRef.current) return;
-
-  const savedRoom = localStorage.getItem("pinak_room");
-  const pid = localStorage.getItem("pinak_pid");
 
-  // only attempt if we have identity + last room and we're not already in-game
-  if (savedRoom && pid && !game) {
-    reconnectOnceRef.current = true;
-    socket.emit("reconnectRoom", { room: savedRoom, pid });
-  }
-}, [connected, game]);
+/* ---------- INVITE LINK ---------- */
+useEffect(() => {
+  // token now lives in state: keep it out of history / screenshots
+  if (window.location.search) window.history.replaceState(null, "", window.location.pathname);
+}, []);
 
+/* ---------- PUBLIC ROOM LIST (lobby only) ---------- */
+const inRoom = !!game;
+useEffect(() => {
+  if (!connected || inRoom) return;
+  socket.emit("watchRooms");
+  return () => {
+    socket.emit("unwatchRooms");
+  };
+}, [connected, inRoom]);
   const isMyTurn = useMemo(() => {
     if (!game || !me) return false;
     return game.players[game.turn]?.id === me.id;
@@ -602,16 +1499,76 @@ useEffect(() => {
 
   const canAct = !!game && !!me && !game.roundOver && !game.gameOver;
 
+  // watching without a seat: public table only, no hand / action bar
+  const spectating = !me && !!game?.spectators?.some((s) => s.id === socket.id);
+
+  // 🤝 partners get a private channel next to the table one
+  const canTeamChat = !!game?.teamMode && (me?.team === 0 || me?.team === 1);
+  const chatChannel = canTeamChat ? chatTab : "table";
+  const chatShown = (chatChannel === "team" ? teamChat : chat).filter((m) => !muted[m.profileId]);
+  const myProfileId = (me || game?.spectators?.find((s) => s.id === socket.id))?.profileId ?? null;
+  const canTakeSeat =
+    spectating && (game.roundOver || game.gameOver) && (game.players?.length || 0) < 4;
+
   const canDraw = canAct && isMyTurn && !me.mustDiscard && !me.canDiscard;
   const canSelectOpen = canDraw;
 
 const hasDrawnThisTurn = !!me?.canDiscard; // server sets canDiscard=true after ANY draw
 
 const canCreateRun = canAct && isMyTurn && hasDrawnThisTurn && selected.length >= 3;
-const canAddToRun  = canAct && isMyTurn && hasDrawnThisTurn && !!target && selected.length >= 1;
+// dry-run the same reducer the server uses, so "Add" only lights up for legal adds
+const addToRunCheck = useMemo(() => {
+  if (!game || !me || !target || selected.length < 1) return null;
+  return applyAction(game, {
+    type: "addToRun",
+    playerId: me.id,
+    targetPlayer: target.playerId,
+    runIndex: target.runIndex,
+    cardIds: selected
+  });
+}, [game, me, target, selected]);
+
+const canAddToRun  = canAct && isMyTurn && hasDrawnThisTurn && !!addToRunCheck && !addToRunCheck.error;
 
   const canDiscard = canAct && isMyTurn && !!discardPick && (me.mustDiscard || me.canDiscard);
   const canEndTurn = canAct && isMyTurn && !me.mustDiscard;
+  const canUndo = canAct && isMyTurn && (me?.undoCount || 0) > 0;
+  const dryTurnsLeft = Math.max(1, (game?.players?.length || 0) - (game?.stallTurns || 0));
+
+  // joker swap: same run ownership as Add (own runs, or the team's)
+  const canSwapOn = (owner) =>
+    !!game?.rules?.jokerSwap &&
+    canAct &&
+    isMyTurn &&
+    hasDrawnThisTurn &&
+    !!me?.opened &&
+    (game.teamMode ? owner.team === me.team : owner.id === me.id);
+
+  // a spare joker that fits either end: ask which rank it should stand for
+  // Calls send(jokerEnd) now, or once the player picks an end; cancelling the prompt sends nothing.
+  function pickJokerEnd(cards, send) {
+    const choice = jokerEndChoice(cards, rulesFor({ rules: game.rules }));
+    if (!choice) return send(undefined);
+
+    const suit = cards.find((c) => c.value !== "2")?.suit || "";
+    setJokerEndAsk({ ...choice, suit, send });
+  }
+
+  function swapJoker(owner, runIndex, joker) {
+    if (selected.length !== 1) return showError("Select the card the joker stands for, then tap the joker.");
+
+    ensureAudio();
+    sfx.run();
+    safeEmit("swapJoker", {
+      room: game.room,
+      targetPlayer: owner.id,
+      runIndex,
+      jokerId: joker.id,
+      cardId: selected[0]
+    });
+    setSelected([]);
+    setDiscardPick(null);
+  }
 
   const canContinueRound = !!game && !!me && game.roundOver && !game.gameOver;
 
@@ -718,7 +1675,8 @@ useEffect(() => {
   ensureAudio();
   sfx.run();
 
-  safeEmit("playerWentOut", { room: game.room });
+  // automatic: a duplicate/late send is expected, so nothing waits on the ack
+  if (socket.connected) socket.emit("playerWentOut", { room: game.room });
 }, [game, me, isMyTurn, canDraw]);
 /* ---------- RESET wentOut FLAG WHEN HAND REFILLS ---------- */
 useEffect(() => {
@@ -747,7 +1705,7 @@ useEffect(() => {
     if (!canContinueRound) return;
     ensureAudio();
     sfx.run();
-    socket.emit("continueGame", { room: game.room });
+    safeEmit("continueGame", { room: game.room });
 
     setSelected([]);
     setDiscardPick(null);
@@ -768,7 +1726,14 @@ useEffect(() => {
   safeEmit("newGame", { room: game.room });
 }
 
-  function safeEmit(eventName, payload) {
+  function showError(m) {
+    setError(m);
+    setToast(m);
+    window.clearTimeout(toastTimerRef.current);
+    toastTimerRef.current = window.setTimeout(() => setToast(""), 2200);
+  }
+
+  function safeEmit(eventName, payload, { quiet = false, onOk } = {}) {
     // If buttons are clickable but nothing happens, this guard prevents “silent taps”
     if (!socket.connected) {
       setToast("Disconnected…");
@@ -776,10 +1741,19 @@ useEffect(() => {
       toastTimerRef.current = window.setTimeout(() => setToast(""), 1400);
       return;
     }
-    socket.emit(eventName, payload);
+
+    // every action is acked with { ok, code, message }: say why a tap was rejected
+    socket.emit(eventName, payload, (res) => {
+      if (res?.ok) onOk?.(res);
+      if (!res || res.ok || quiet) return;
+      showError(res.message || res.code || "Action rejected");
+    });
   }
 
   function leaveToLobby() {
+  // let the table know we're gone (seat is kept for a later rejoin)
+  if (game?.room) socket.emit("leaveRoom", { room: game.room });
+
   // prevent auto-reconnect into the same room
   localStorage.removeItem("pinak_room");
 
@@ -835,7 +1809,34 @@ useEffect(() => {
 
           <div style={styles.cardSection}>
             <input style={styles.input} placeholder="Your name" value={name} onChange={(e) => setName(e.target.value)} />
-            <input style={styles.input} placeholder="Room code" value={room} onChange={(e) => setRoom(e.target.value)} />
+            <input
+              style={styles.input}
+              placeholder="Room code (leave empty to get one)"
+              value={room}
+              onChange={(e) => setRoom(e.target.value)}
+            />
+
+            <label style={styles.checkboxRow}>
+              <input type="checkbox" checked={isPublic} onChange={(e) => setIsPublic(e.target.checked)} />
+              <span style={{ marginLeft: 8, color: stylesTokens.textStrong, fontWeight: 950 }}>
+                Public (listed below)
+              </span>
+            </label>
+
+            <input
+              style={styles.input}
+              type="password"
+              autoComplete="off"
+              placeholder="Room password (optional)"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+
+            {invite && (
+              <div style={{ ...styles.miniLabel, marginTop: 6 }}>
+                🎟️ You have an invite{room ? ` to ${room}` : ""}: enter your name and tap Join.
+              </div>
+            )}
 
             <label style={styles.checkboxRow}>
               <input type="checkbox" checked={teamMode} onChange={(e) => setTeamMode(e.target.checked)} />
@@ -872,6 +1873,152 @@ useEffect(() => {
     </button>
   </div>
 )}
+            <div style={{ display: "flex", gap: 10, marginTop: 10 }}>
+              <label style={styles.selectLabel}>
+                Turn timer
+                <select
+                  style={styles.input}
+                  value={turnSeconds}
+                  onChange={(e) => setTurnSeconds(Number(e.target.value))}
+                >
+                  <option value={0}>Off</option>
+                  <option value={30}>30s</option>
+                  <option value={60}>60s</option>
+                  <option value={90}>90s</option>
+                </select>
+              </label>
+
+              <label style={{ ...styles.selectLabel, opacity: turnSeconds ? 1 : 0.5 }}>
+                Time bank
+                <select
+                  style={styles.input}
+                  value={timeBankSeconds}
+                  disabled={!turnSeconds}
+                  onChange={(e) => setTimeBankSeconds(Number(e.target.value))}
+                >
+                  <option value={0}>None</option>
+                  <option value={30}>30s</option>
+                  <option value={60}>60s</option>
+                  <option value={120}>120s</option>
+                </select>
+              </label>
+            </div>
+
+            <div style={{ display: "flex", gap: 10 }}>
+              <label style={styles.selectLabel}>
+                Computer players
+                <select
+                  style={styles.input}
+                  value={botCount}
+                  onChange={(e) => setBotCount(Number(e.target.value))}
+                >
+                  <option value={0}>None</option>
+                  <option value={1}>1</option>
+                  <option value={2}>2</option>
+                  <option value={3}>3</option>
+                </select>
+              </label>
+
+              <label style={styles.selectLabel}>
+                Bot level
+                <select style={styles.input} value={botLevel} onChange={(e) => setBotLevel(e.target.value)}>
+                  <option value="easy">Easy</option>
+                  <option value="normal">Normal</option>
+                  <option value="hard">Hard</option>
+                </select>
+              </label>
+            </div>
+
+            <button
+              type="button"
+              style={{ ...styles.secondaryBtnTiny, width: "100%", marginTop: 4 }}
+              onClick={() => setShowRules((v) => !v)}
+            >
+              📜 House rules {showRules ? "▲" : "▼"}
+            </button>
+
+            {showRules && (
+              <div style={styles.rulesPanel}>
+                <div style={{ display: "flex", gap: 10 }}>
+                  <RuleSelect
+                    label="Play to"
+                    value={houseRules.winScore}
+                    options={[101, 151, 201, 251, 301]}
+                    onChange={(v) => setHouseRules((r) => ({ ...r, winScore: v }))}
+                  />
+                  <RuleSelect
+                    label="Hand size"
+                    value={houseRules.handSize}
+                    options={[7, 8, 9, 10, 11]}
+                    onChange={(v) => setHouseRules((r) => ({ ...r, handSize: v }))}
+                  />
+                  <RuleSelect
+                    label="Jokers per run"
+                    value={houseRules.maxJokersPerRun}
+                    options={[0, 1, 2]}
+                    onChange={(v) => setHouseRules((r) => ({ ...r, maxJokersPerRun: v }))}
+                  />
+                </div>
+
+                <div style={{ display: "flex", gap: 10 }}>
+                  <RuleSelect
+                    label="Ace points"
+                    value={houseRules.acePoints}
+                    options={[1, 2, 5, 10]}
+                    onChange={(v) => setHouseRules((r) => ({ ...r, acePoints: v }))}
+                  />
+                  <RuleSelect
+                    label="Joker (2) points"
+                    value={houseRules.jokerPoints}
+                    options={[1, 2, 5, 10]}
+                    onChange={(v) => setHouseRules((r) => ({ ...r, jokerPoints: v }))}
+                  />
+                  <RuleSelect
+                    label="Unopened penalty"
+                    value={houseRules.unopenedMultiplier}
+                    options={[1, 2, 3]}
+                    format={(v) => `×${v}`}
+                    onChange={(v) => setHouseRules((r) => ({ ...r, unopenedMultiplier: v }))}
+                  />
+                </div>
+
+                <label style={styles.checkboxRow}>
+                  <input
+                    type="checkbox"
+                    checked={houseRules.noDiscardDrawnCard}
+                    onChange={(e) => setHouseRules((r) => ({ ...r, noDiscardDrawnCard: e.target.checked }))}
+                  />
+                  <span style={{ marginLeft: 8, color: stylesTokens.textStrong, fontWeight: 800, fontSize: 13 }}>
+                    Can’t discard the lone open card you just took
+                  </span>
+                </label>
+
+                <label style={styles.checkboxRow}>
+                  <input
+                    type="checkbox"
+                    checked={houseRules.dryDeck === "endRound"}
+                    onChange={(e) =>
+                      setHouseRules((r) => ({ ...r, dryDeck: e.target.checked ? "endRound" : "reshuffle" }))
+                    }
+                  />
+                  <span style={{ marginLeft: 8, color: stylesTokens.textStrong, fontWeight: 800, fontSize: 13 }}>
+                    Closed stack gone and nobody can meld: end the round (no winner) instead of reshuffling
+                  </span>
+                </label>
+
+                <label style={styles.checkboxRow}>
+                  <input
+                    type="checkbox"
+                    checked={houseRules.jokerSwap}
+                    onChange={(e) => setHouseRules((r) => ({ ...r, jokerSwap: e.target.checked }))}
+                  />
+                  <span style={{ marginLeft: 8, color: stylesTokens.textStrong, fontWeight: 800, fontSize: 13 }}>
+                    Swap the exact card for a joker in a run (joker back to hand)
+                  </span>
+                </label>
+              </div>
+            )}
+
             <div style={{ marginTop: 10, display: "flex", gap: 10 }}>
 <button
   style={styles.primaryBtn}
@@ -882,12 +2029,24 @@ useEffect(() => {
     // ✅ remember room for refresh/PWA resume
     localStorage.setItem("pinak_room", room);
 
-    // ✅ persistent player id (may not exist yet)
-    const pid = localStorage.getItem("pinak_pid");
-
-    safeEmit("createRoom", { room, name, teamMode, pid, team: teamMode ? teamPick : null });
+    // ✅ session token from an earlier room (the server issues one if missing)
+    const token = localStorage.getItem("pinak_token");
+
+    safeEmit("createRoom", {
+      room,
+      name,
+      teamMode,
+      token,
+      team: teamMode ? teamPick : null,
+      turnSeconds,
+      timeBankSeconds: turnSeconds ? timeBankSeconds : 0,
+      bots: { count: botCount, level: botLevel },
+      rules: houseRules,
+      isPublic,
+      password
+    });
   }}
-  disabled={!name || !room || (teamMode && teamPick === null)}
+  disabled={!name || (teamMode && teamPick === null)}
 >
   Create
 </button>
@@ -901,32 +2060,112 @@ useEffect(() => {
     // ✅ remember room for refresh/PWA resume
     localStorage.setItem("pinak_room", room);
 
-    // ✅ persistent player id (may not exist yet)
-    const pid = localStorage.getItem("pinak_pid");
+    // ✅ session token from an earlier room (the server issues one if missing)
+    const token = localStorage.getItem("pinak_token");
 
-    safeEmit("joinRoom", { room, name, pid, team: teamMode ? teamPick : null });
+    safeEmit(
+      "joinRoom",
+      { room, name, token, team: teamMode ? teamPick : null, password, invite: invite || undefined },
+      { onOk: () => setInvite("") }
+    );
   }}
   disabled={!name || !room || (teamMode && teamPick === null)}
 >
   Join
+</button>
+
+<button
+  style={styles.secondaryBtn}
+  onClick={() => {
+    ensureAudio();
+    sfx.click();
+
+    // ✅ remember room for refresh/PWA resume (reconnect rebinds spectators too)
+    localStorage.setItem("pinak_room", room);
+
+    const token = localStorage.getItem("pinak_token");
+
+    safeEmit("spectateRoom", { room, name, token, password });
+  }}
+  disabled={!name || !room}
+  title="Watch without taking a seat"
+>
+  Watch
 </button>            </div>
 
             {error && <p style={{ color: "#ff7b7b", marginTop: 10, fontWeight: 900 }}>{error}</p>}
           </div>
 
+          <div style={{ marginTop: 12, display: "flex", gap: 10 }}>
+            <button
+              type="button"
+              style={{ ...styles.secondaryBtn, flex: 1 }}
+              onClick={() => {
+                sfx.click();
+                const token = localStorage.getItem("pinak_token");
+                if (!token) return showError(ERROR_MESSAGES.NO_PROFILE);
+                safeEmit("getProfile", { token }, { onOk: (res) => setProfile(res.profile) });
+              }}
+            >
+              👤 My profile & stats
+            </button>
+
+            <button
+              type="button"
+              style={{ ...styles.secondaryBtn, flex: 1 }}
+              onClick={() => {
+                sfx.click();
+                safeEmit("getLeaderboard", {}, { onOk: (res) => setLeaderboard(res.rows || []) });
+              }}
+            >
+              🏆 Leaderboard
+            </button>
+          </div>
+
+          {profile && <ProfileView profile={profile} onClose={() => setProfile(null)} />}
+          {leaderboard && <Leaderboard rows={leaderboard} onClose={() => setLeaderboard(null)} />}
+
+          <div style={{ ...styles.cardSection, marginTop: 12 }}>
+            <div style={{ ...styles.title, marginBottom: 8 }}>Open tables</div>
+            <RoomBrowser
+              rooms={publicRooms}
+              onJoin={(r, team) => {
+                if (!name) return showError(ERROR_MESSAGES.NAME_REQUIRED);
+                const pw = r.hasPassword ? password || window.prompt(`Password for ${r.room}`) || "" : "";
+                ensureAudio();
+                sfx.click();
+                setRoom(r.room);
+                localStorage.setItem("pinak_room", r.room);
+                safeEmit("joinRoom", { room: r.room, name, token: localStorage.getItem("pinak_token"), team, password: pw });
+              }}
+              onWatch={(r) => {
+                const pw = r.hasPassword ? password || window.prompt(`Password for ${r.room}`) || "" : "";
+                ensureAudio();
+                sfx.click();
+                setRoom(r.room);
+                localStorage.setItem("pinak_room", r.room);
+                safeEmit("spectateRoom", { room: r.room, name, token: localStorage.getItem("pinak_token"), password: pw });
+              }}
+            />
+          </div>
+
           {toast && <div style={styles.toast}>{toast}</div>}
         </div>
       </div>
     );
   }
 
-  if (!me) return <p style={{ padding: 16, color: stylesTokens.textStrong }}>Syncing…</p>;
+  if (!me && !spectating) return <p style={{ padding: 16, color: stylesTokens.textStrong }}>Syncing…</p>;
 
   const openTopFirst = [...(game.open || [])].reverse();
 
   /* ---------- SEAT MAPPING ---------- */
   const players = game.players || [];
-  const myIndex = Math.max(0, players.findIndex((p) => p.id === me.id));
+  const amHost = !!me && game.hostId === me.id;
+  // round flow is the host's call, unless the host is offline
+  const hostPlayer = players.find((p) => p.id === game.hostId);
+  const canRunRounds = amHost || (!!me && hostPlayer?.status !== "connected");
+  const myIndex = Math.max(0, players.findIndex((p) => p.id === me?.id));
   const n = players.length;
 
   const pBottom = players[myIndex];
@@ -959,14 +2198,38 @@ return (
     <div style={styles.topBar}>
       <div style={styles.topBarLeft}>
         <div style={styles.miniLabel}>Room</div>
-        <div style={styles.title}>{game.room}</div>
+        <div style={styles.title}>
+          {game.hasPassword && <span title="Password protected">🔑 </span>}
+          {game.room}
+        </div>
+        <div style={styles.miniLabel} title={rulesSummary(game.rules)}>
+          📜 to {rulesFor(game).winScore}
+        </div>
       </div>
 
 <div style={styles.topBarCenter}>
   {!game.roundOver && !game.gameOver && (
     <div style={styles.turnPillTop}>
       {isMyTurn ? "🔥 YOUR TURN" : `⏳ ${game.players[game.turn]?.name}'s turn`}
+      {!isMyTurn && game.players[game.turn]?.status !== "connected" && (
+        <span style={{ opacity: 0.75 }}> (offline)</span>
+      )}
     </div>
+  )}
+  {!game.roundOver && !game.gameOver && game.closedCount === 0 && (
+    <div style={styles.dryDeckPill} title="A full lap without a meld counts as a stalemate">
+      🂠 Closed stack empty · {dryTurnsLeft} meld-less turn{dryTurnsLeft === 1 ? "" : "s"} until{" "}
+      {rulesFor(game).dryDeck === "endRound" || (game.reshuffles || 0) >= MAX_RESHUFFLES
+        ? "the round ends"
+        : "a reshuffle"}
+    </div>
+  )}
+  {!game.roundOver && !game.gameOver && game.turnDeadline && (
+    <TurnClock
+      deadline={game.turnDeadline}
+      serverOffset={serverOffset}
+      usingBank={game.usingTimeBank}
+    />
   )}
         {oneLeftBanner.show && (
   <div style={styles.oneLeftBanner}>
@@ -981,6 +2244,57 @@ return (
     <div style={styles.title}>{isMyTurn ? "You" : game.players[game.turn]?.name}</div>
   </div>
 
+  <button
+    style={styles.leaveBtn}
+    onClick={() => {
+      sfx.click();
+      setSheetOpen((v) => !v);
+    }}
+    title="Scoresheet"
+  >
+    📋
+  </button>
+
+  {amHost && players.length < 4 && (
+    <button
+      style={styles.leaveBtn}
+      onClick={() => {
+        ensureAudio();
+        sfx.click();
+        safeEmit("addBot", { room: game.room, level: botLevel });
+      }}
+      title={`Add a ${botLevel} computer player`}
+    >
+      🤖
+    </button>
+  )}
+
+  {amHost && (
+    <button
+      style={styles.leaveBtn}
+      onClick={() => {
+        sfx.click();
+        safeEmit("lockRoom", { room: game.room, locked: !game.locked });
+      }}
+      title={game.locked ? "Room locked: tap to let new players join" : "Lock the room against new joins"}
+    >
+      {game.locked ? "🔒" : "🔓"}
+    </button>
+  )}
+
+  {amHost && (
+    <button
+      style={styles.leaveBtn}
+      onClick={() => {
+        sfx.click();
+        setHostOpen((v) => !v);
+      }}
+      title="Host controls"
+    >
+      👑
+    </button>
+  )}
+
   <button
     style={styles.leaveBtn}
     onClick={() => {
@@ -1013,8 +2327,33 @@ return (
       {game.gameOver ? "🏁 Game Over" : "✅ Round Over"}
     </div>
 
+    {game.gameOver && players.some((p) => p.ratingChange) && (
+      <div style={{ ...styles.miniLabel, marginTop: 4 }}>
+        📈{" "}
+        {players
+          .filter((p) => p.ratingChange)
+          .map((p) => `${p.name} ${p.ratingChange.after} (${signed(p.ratingChange.delta)})`)
+          .join(" · ")}
+      </div>
+    )}
+
+    {game.exhausted && (
+      <div style={{ ...styles.miniLabel, marginTop: 4 }}>🂠 Deck exhausted: nobody went out this round</div>
+    )}
+
+    {dealCheck?.hash === game.deckHash && (
+      <div style={styles.dealCheck} title={`Seed ${dealCheck.seed}`}>
+        {DEAL_CHECK_LABEL[dealCheck.status]}
+        <div style={styles.dealSeed}>seed {dealCheck.seed}</div>
+      </div>
+    )}
+
+    {!canRunRounds && !spectating && (
+      <div style={{ ...styles.miniLabel, marginTop: 6 }}>Waiting for the host to continue…</div>
+    )}
+
     {/* ROUND OVER (but game not finished yet) */}
-    {game.roundOver && !game.gameOver && (
+    {canRunRounds && game.roundOver && !game.gameOver && (
       <button
         style={{ ...styles.primaryBtn, marginTop: 10 }}
         onClick={continueNextRound}
@@ -1024,7 +2363,7 @@ return (
     )}
 
     {/* GAME OVER ONLY */}
-    {game.gameOver && (
+    {canRunRounds && game.gameOver && (
       <button
         style={{ ...styles.primaryBtn, marginTop: 10 }}
         onClick={startNewGame}
@@ -1032,6 +2371,15 @@ return (
         🔁 Start New Game
       </button>
     )}
+
+    {game.gameOver && (
+      <button
+        style={{ ...styles.secondaryBtn, marginTop: 8 }}
+        onClick={() => safeEmit("getReplay", { room: game.room })}
+      >
+        📼 Watch Replay
+      </button>
+    )}
   </div>
 )}
     {/* TABLE AREA */}
@@ -1090,11 +2438,39 @@ return (
           : game.players;
 
         return list.map((p) => (
-          <div key={p.id} style={styles.runsRailBlock}>
+          <div key={p.id} style={{ ...styles.runsRailBlock, position: "relative" }}>
+            <AnimatePresence>
+              {seatPops[p.id] && !muted[seatPops[p.id].profileId] && (
+                <motion.div
+                  key={seatPops[p.id].id}
+                  style={styles.seatPop}
+                  initial={{ opacity: 0, y: 10, scale: 0.5 }}
+                  animate={{ opacity: 1, y: 0, scale: 1.15 }}
+                  exit={{ opacity: 0, y: -14, scale: 0.9 }}
+                  transition={{ type: "spring", stiffness: 420, damping: 18 }}
+                >
+                  {seatPops[p.id].emoji}
+                </motion.div>
+              )}
+            </AnimatePresence>
+
             <div style={styles.runsRailNameRow}>
               <span style={styles.runsRailNameText}>
+                <PresenceDot player={p} />
+                {p.id === game.hostId && <span title="Host">👑 </span>}
                 {p.name}
-                {p.id === me.id ? " (You)" : ""}
+                {p.id === me?.id ? " (You)" : ""}
+                {p.id === game.nextStarterId && <span title="Starts the next round"> ⭐</span>}
+                {p.id !== me?.id && p.profileId && (
+                  <button
+                    style={styles.muteBtn}
+                    onClick={() => toggleMute(p.profileId, p.name)}
+                    title={muted[p.profileId] ? "Unmute (only for you)" : "Mute chat and reactions (only for you)"}
+                    type="button"
+                  >
+                    {muted[p.profileId] ? "🔇" : "🔈"}
+                  </button>
+                )}
               </span>
 
               {!game.teamMode && <span style={styles.runsRailScore}>{p.score ?? 0}</span>}
@@ -1114,7 +2490,11 @@ return (
                       style={{ cursor: "pointer", touchAction: "manipulation" }}
                       title="Tap to target this run"
                     >
-                      <FanSet set={set} isTarget={isTarget} />
+                      <FanSet
+                        set={set}
+                        isTarget={isTarget}
+                        onJokerTap={canSwapOn(p) ? (joker) => swapJoker(p, i, joker) : undefined}
+                      />
                     </div>
                   );
                 })}
@@ -1125,6 +2505,35 @@ return (
           </div>
         ));
       })()}
+
+      {/* SPECTATORS */}
+      {!!game.spectators?.length && (
+        <div style={styles.runsRailBlock}>
+          <div style={styles.runsRailNameRow}>
+            <span style={styles.runsRailNameText}>👁 Watching</span>
+          </div>
+          {game.spectators.map((sp) => (
+            <div key={sp.id} style={styles.spectatorRow}>
+              <PresenceDot player={sp} />
+              {sp.name}
+              {sp.id === socket.id ? " (You)" : ""}
+            </div>
+          ))}
+          {canTakeSeat && (
+            <button
+              style={{ ...styles.secondaryBtnTiny, width: "100%", marginTop: 8 }}
+              onClick={() => {
+                ensureAudio();
+                sfx.click();
+                safeEmit("takeSeat", { room: game.room, team: teamPick });
+              }}
+              type="button"
+            >
+              Take a seat
+            </button>
+          )}
+        </div>
+      )}
     </div>
   </div>
 
@@ -1170,7 +2579,7 @@ return (
           }}
           title="Draw 1 from Closed"
         >
-          🂠 <span style={styles.drawBtnText}>Closed</span>
+          🂠 <span style={styles.drawBtnText}>Closed ({game.closedCount ?? 0})</span>
         </button>
 
         <button
@@ -1212,7 +2621,23 @@ return (
     }}
   >
     <div style={styles.chatHeader}>
-      <div style={{ fontWeight: 950 }}>Chat</div>
+      {canTeamChat ? (
+        <div style={styles.chatTabs}>
+          {[["table", "Table"], ["team", "Team"]].map(([tab, label]) => (
+            <button
+              key={tab}
+              type="button"
+              onClick={() => pickChatTab(tab)}
+              style={{ ...styles.chatTab, ...(chatChannel === tab ? styles.chatTabActive : null) }}
+            >
+              {label}
+              {chatUnread[tab] && chatChannel !== tab ? " •" : ""}
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div style={{ fontWeight: 950 }}>Chat</div>
+      )}
       <button
         onClick={() => setChatOpen((v) => !v)}
         style={styles.chatToggleBtn}
@@ -1225,26 +2650,117 @@ return (
     {chatOpen && (
       <>
         <div style={styles.chatBody}>
-          {(chat || []).map((m, i) => (
-            <div key={m.id || i}>
-              <div style={{ fontSize: 11, opacity: 0.8, fontWeight: 900 }}>
-                {m.name}
-              </div>
-              <div style={styles.chatBubble}>{m.text}</div>
+          {!!Object.keys(muted).length && (
+            <div style={styles.chatMutedNote}>
+              🔇 Muted:{" "}
+              {Object.entries(muted).map(([id, n]) => (
+                <button key={id} style={styles.chatMutedName} onClick={() => toggleMute(id)} type="button" title="Unmute">
+                  {n} ✕
+                </button>
+              ))}
             </div>
-          ))}
+          )}
+
+          {chatShown.map((m, i) => {
+            const mine = !!myProfileId && m.profileId === myProfileId;
+            const reactions = Object.entries(m.reactions || {})
+              .map(([emoji, who]) => [emoji, who.filter((r) => !muted[r.profileId])])
+              .filter(([, who]) => who.length);
+
+            return (
+              <div key={m.id || i}>
+                <div style={styles.chatMsgHead}>
+                  <span>{m.name}</span>
+                  {!mine && m.profileId && (
+                    <button
+                      style={styles.muteBtn}
+                      onClick={() => toggleMute(m.profileId, m.name)}
+                      title="Mute chat and reactions (only for you)"
+                      type="button"
+                    >
+                      🔇
+                    </button>
+                  )}
+                </div>
+                <div style={styles.chatBubble}>{m.text}</div>
+
+                <div style={styles.chatReactions}>
+                  {reactions.map(([emoji, who]) => (
+                    <button
+                      key={emoji}
+                      style={{
+                        ...styles.chatReactionChip,
+                        ...(who.some((r) => r.profileId === myProfileId) ? styles.chatReactionChipMine : null)
+                      }}
+                      onClick={() => reactToMessage(m.id, emoji)}
+                      title={who.map((r) => r.name).join(", ")}
+                      type="button"
+                    >
+                      {emoji} {who.length}
+                    </button>
+                  ))}
+                  {m.id && (
+                    <button
+                      style={styles.chatReactionChip}
+                      onClick={() => setReactPickFor((v) => (v === m.id ? null : m.id))}
+                      title="React"
+                      type="button"
+                    >
+                      ＋
+                    </button>
+                  )}
+                </div>
+
+                {reactPickFor === m.id && (
+                  <div style={styles.chatReactions}>
+                    {CHAT_REACTIONS.map((emoji) => (
+                      <button
+                        key={emoji}
+                        style={styles.chatReactionChip}
+                        onClick={() => reactToMessage(m.id, emoji)}
+                        type="button"
+                      >
+                        {emoji}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
           <div ref={chatEndRef} />
         </div>
 
+        {/* ✅ one-tap phrases, and (seated) emoji that pop over your seat */}
+        <div style={styles.chatQuickRow}>
+          {QUICK_PHRASES.map((phrase) => (
+            <button key={phrase} style={styles.chatQuickBtn} onClick={() => sendChat(phrase)} type="button">
+              {phrase}
+            </button>
+          ))}
+          {me &&
+            CHAT_REACTIONS.map((emoji) => (
+              <button
+                key={emoji}
+                style={styles.chatQuickBtn}
+                onClick={() => safeEmit("seatReaction", { room: game.room, emoji })}
+                title="Pop over your seat"
+                type="button"
+              >
+                {emoji}
+              </button>
+            ))}
+        </div>
+
         <div style={styles.chatInputRow}>
           <input
             style={styles.chatInput}
             value={chatText}
             onChange={(e) => setChatText(e.target.value)}
             onKeyDown={(e) => e.key === "Enter" && sendChat()}
-            placeholder="Type…"
+            placeholder={chatChannel === "team" ? "Only your team sees this…" : "Type…"}
           />
-          <button style={styles.chatSendBtn} onClick={sendChat} type="button">
+          <button style={styles.chatSendBtn} onClick={() => sendChat()} type="button">
             Send
           </button>
         </div>
@@ -1252,6 +2768,7 @@ return (
     )}
   </div>
 </div>   {/* HAND DOCK (outside tableArea so it never stretches center) */}
+    {!spectating && (
     <div style={styles.handDock}>
       <div style={styles.handDockMeta}>
         <span>Run: {selected.length}</span>
@@ -1420,13 +2937,57 @@ const dropFactor = fanCountLocal <= 10 ? 0.34 : fanCountLocal <= 18 ? 0.26 : 0.2
   );
 })()}
     </div>
+    )}
     
 
     {/* TOAST */}
       {toast && <div style={styles.toast}>{toast}</div>}
 
+      {replay && <ReplayViewer history={replay} onClose={() => setReplay(null)} />}
+
+      {jokerEndAsk && (
+        <JokerEndPrompt
+          ask={jokerEndAsk}
+          onPick={(end) => {
+            jokerEndAsk.send(end);
+            setJokerEndAsk(null);
+          }}
+          onClose={() => setJokerEndAsk(null)}
+        />
+      )}
+
+      {sheetOpen && (
+        <ScoreSheet sheet={game.scoresheet} teamMode={game.teamMode} onClose={() => setSheetOpen(false)} />
+      )}
+
+      {amHost && hostOpen && (
+        <HostPanel
+          game={game}
+          me={me}
+          onAction={(event, payload) => safeEmit(event, { room: game.room, ...payload })}
+          onInvite={() =>
+            safeEmit(
+              "createInvite",
+              { room: game.room },
+              {
+                onOk: ({ room: code, token }) => {
+                  const params = new URLSearchParams({ room: code, invite: token });
+                  const link = `${window.location.origin}${window.location.pathname}?${params}`;
+                  navigator.clipboard?.writeText(link).then(
+                    () => showError("Invite link copied"),
+                    () => window.prompt("Copy this invite link", link)
+                  ) ?? window.prompt("Copy this invite link", link);
+                }
+              }
+            )
+          }
+          onClose={() => setHostOpen(false)}
+        />
+      )}
+
 
 {/* ACTION BAR */}
+      {!spectating && (
       <div style={styles.stickyBar}>
         <div style={styles.stickyInner4}>
       <button
@@ -1446,19 +3007,23 @@ const dropFactor = fanCountLocal <= 10 ? 0.34 : fanCountLocal <= 18 ? 0.26 : 0.2
           if (!canAct || !isMyTurn || !me?.canDiscard || !isSelectedRunValid) return;
 
           ensureAudio();
-          sfx.run();
 
           const handLen = me?.hand?.length ?? 0;
           const willEmpty = selected.length >= 1 && selected.length === handLen;
 
-          safeEmit("openRun", { room: game.room, cardIds: selected });
+          const cardIds = selected;
+          const picked = me.hand.filter((c) => cardIds.includes(c.id));
+          pickJokerEnd(picked, (jokerEnd) => {
+            sfx.run();
+            safeEmit("openRun", { room: game.room, cardIds, jokerEnd });
 
-          if (willEmpty) {
-            socket.emit("playerWentOut", { room: game.room });
-          }
+            if (willEmpty) {
+              socket.emit("playerWentOut", { room: game.room });
+            }
 
-          setSelected([]);
-          setDiscardPick(null);
+            setSelected([]);
+            setDiscardPick(null);
+          });
         }}
       >
         Create Run
@@ -1471,28 +3036,50 @@ const dropFactor = fanCountLocal <= 10 ? 0.34 : fanCountLocal <= 18 ? 0.26 : 0.2
         if (!target) return;
 
         ensureAudio();
-        sfx.run();
 
         const handLen = me?.hand?.length ?? 0;
         const willEmpty = selected.length >= 1 && selected.length === handLen;
 
-        safeEmit("addToRun", {
-          room: game.room,
-          targetPlayer: target.playerId,
-          runIndex: target.runIndex,
-          cardIds: selected
-        });
+        const cardIds = selected;
+        const { playerId: targetPlayer, runIndex } = target;
+        const send = (jokerEnd) => {
+          sfx.run();
+          safeEmit("addToRun", { room: game.room, targetPlayer, runIndex, cardIds, jokerEnd });
 
-        if (willEmpty) {
-          socket.emit("playerWentOut", { room: game.room });
-        }
+          if (willEmpty) {
+            socket.emit("playerWentOut", { room: game.room });
+          }
+
+          setSelected([]);
+          setDiscardPick(null);
+        };
+
+        // only a joker coming in needs a side; an existing one keeps its place
+        const adding = me.hand.filter((c) => cardIds.includes(c.id));
+        const run = game.players.find((p) => p.id === targetPlayer)?.openedSets?.[runIndex] || [];
+        if (adding.some((c) => c.value === "2")) pickJokerEnd([...run, ...adding], send);
+        else send(undefined);
+      }}
+      type="button"
+    >
+      Add
+    </button>
+
+    <button
+      style={styles.secondaryBtnTiny}
+      disabled={!canUndo}
+      title="Take back your last run or add (until you discard or end the turn)"
+      onClick={() => {
+        ensureAudio();
+        sfx.click();
 
+        safeEmit("undo", { room: game.room });
         setSelected([]);
         setDiscardPick(null);
       }}
       type="button"
     >
-      Add
+      ↶ Undo
     </button>
 
     <button
@@ -1532,7 +3119,9 @@ const dropFactor = fanCountLocal <= 10 ? 0.34 : fanCountLocal <= 18 ? 0.26 : 0.2
       End Turn
     </button>
   </div>
-</div>    </div>
+</div>
+      )}
+    </div>
   );
 }
 /* ---------- STYLES ---------- */
@@ -1949,14 +3538,164 @@ midSide: {
     paddingBottom: "calc(8px + env(safe-area-inset-bottom))"
   },
 
+  jokerRep: {
+    fontSize: 8,
+    fontWeight: 900,
+    opacity: 0.85
+  },
+
+  fanCardSwappable: {
+    cursor: "pointer",
+    boxShadow: "0 0 0 2px rgba(255, 214, 102, 0.95)"
+  },
+
   stickyInner4: {
     maxWidth: 1100,
     margin: "0 auto",
     display: "grid",
-    gridTemplateColumns: "repeat(4, minmax(0, 1fr))",
+    // run / add | undo | discard / end turn
+    gridTemplateColumns: "repeat(2, minmax(0, 1fr)) auto repeat(2, minmax(0, 1fr))",
     gap: 8
   },
 
+  roomRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 6,
+    padding: 8,
+    borderRadius: 12,
+    background: "rgba(0,0,0,0.22)",
+    border: "1px solid rgba(255,255,255,0.10)"
+  },
+
+  hostPanel: {
+    position: "fixed",
+    top: 70,
+    right: 12,
+    width: "min(360px, 92vw)",
+    maxHeight: "75svh",
+    overflowY: "auto",
+    padding: 12,
+    borderRadius: 16,
+    background: "rgba(10,20,34,0.94)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    boxShadow: "0 16px 50px rgba(0,0,0,0.28)",
+    color: stylesTokens.textStrong,
+    zIndex: 8000
+  },
+
+  hostRow: { display: "flex", alignItems: "center", gap: 6, marginTop: 8 },
+
+  hostBtn: {
+    width: 32,
+    height: 32,
+    borderRadius: 10,
+    border: "1px solid rgba(255,255,255,0.18)",
+    background: "rgba(0,0,0,0.28)",
+    color: "#fff",
+    fontWeight: 900,
+    cursor: "pointer",
+    touchAction: "manipulation"
+  },
+
+  rulesPanel: {
+    marginTop: 8,
+    padding: 10,
+    borderRadius: 14,
+    background: "rgba(0,0,0,0.18)",
+    border: "1px solid rgba(255,255,255,0.12)"
+  },
+
+  dealCheck: { marginTop: 4, fontSize: 12, fontWeight: 800, opacity: 0.85 },
+
+  dealSeed: { fontFamily: "ui-monospace, monospace", wordBreak: "break-all", userSelect: "all" },
+
+  replayWrap: {
+    position: "fixed",
+    inset: 0,
+    display: "grid",
+    placeItems: "center",
+    padding: 12,
+    background: "rgba(0,0,0,0.55)",
+    zIndex: 9000
+  },
+
+  replayCard: {
+    width: "min(760px, 96vw)",
+    maxHeight: "92svh",
+    overflowY: "auto",
+    padding: 14,
+    borderRadius: 18,
+    background: "rgba(10,20,34,0.92)",
+    border: "1px solid rgba(255,255,255,0.14)",
+    boxShadow: "0 16px 50px rgba(0,0,0,0.28)",
+    color: stylesTokens.textStrong
+  },
+
+  jokerEndCard: { width: "min(380px, 92vw)" },
+
+  jokerEndRow: { display: "grid", gridTemplateColumns: "1fr 1fr", gap: 8, marginTop: 12 },
+
+  sheetRound: {
+    marginTop: 12,
+    padding: 10,
+    borderRadius: 14,
+    background: "rgba(255,255,255,0.05)",
+    border: "1px solid rgba(255,255,255,0.10)"
+  },
+
+  sheetTable: { width: "100%", borderCollapse: "collapse", marginTop: 6, fontSize: 13 },
+
+  sheetHead: { textAlign: "right", fontSize: 11, fontWeight: 800, opacity: 0.7, padding: "2px 6px" },
+
+  sheetName: { textAlign: "left", fontWeight: 850, padding: "3px 6px", whiteSpace: "nowrap" },
+
+  sheetCell: { textAlign: "right", padding: "3px 6px", fontVariantNumeric: "tabular-nums" },
+
+  profileStats: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(110px, 1fr))",
+    gap: 8,
+    marginTop: 10
+  },
+
+  profileStat: {
+    padding: 10,
+    borderRadius: 14,
+    textAlign: "center",
+    background: "rgba(255,255,255,0.06)",
+    border: "1px solid rgba(255,255,255,0.10)"
+  },
+
+  profileMatch: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 2,
+    padding: "6px 0",
+    borderTop: "1px solid rgba(255,255,255,0.08)",
+    fontWeight: 800,
+    fontSize: 13
+  },
+
+  sheetTeamRow: { borderTop: "1px solid rgba(255,255,255,0.14)" },
+
+  replayHeader: { display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8 },
+
+  replayStep: { margin: "10px 0", fontWeight: 800, fontSize: 14 },
+
+  replayPiles: { display: "flex", flexWrap: "wrap", alignItems: "center", gap: 6, marginBottom: 8 },
+
+  replaySeat: {
+    padding: 8,
+    marginBottom: 6,
+    borderRadius: 12,
+    background: "rgba(0,0,0,0.22)"
+  },
+
+  replayHand: { display: "flex", flexWrap: "wrap", gap: 4, marginTop: 6 },
+
+  replayControls: { display: "flex", alignItems: "center", gap: 6, marginTop: 10 },
+
   toast: {
     position: "fixed",
     left: "50%",
@@ -2049,9 +3788,19 @@ topBar: {
 },
 
 topBarLeft: { justifySelf: "start" },
-topBarCenter: { justifySelf: "center", alignSelf: "center" },
+topBarCenter: { justifySelf: "center", alignSelf: "center", display: "flex", alignItems: "center", gap: 8 },
 topBarRight: { justifySelf: "end", display: "flex", alignItems: "flex-end", gap: 10 },
 
+dryDeckPill: {
+  fontWeight: 900,
+  fontSize: 12,
+  padding: "6px 12px",
+  borderRadius: 999,
+  background: "rgba(120, 60, 0, 0.55)",
+  border: "1px solid rgba(255, 196, 102, 0.45)",
+  whiteSpace: "nowrap"
+},
+
 turnPillTop: {
   fontWeight: 950,
   padding: "8px 12px",
@@ -2061,6 +3810,28 @@ turnPillTop: {
   whiteSpace: "nowrap"
 },
 
+turnClock: {
+  fontWeight: 950,
+  padding: "8px 12px",
+  borderRadius: 999,
+  background: "rgba(0,0,0,0.38)",
+  border: "1px solid rgba(255,255,255,0.14)",
+  whiteSpace: "nowrap",
+  fontVariantNumeric: "tabular-nums"
+},
+
+turnClockUrgent: {
+  background: "rgba(177, 0, 0, 0.55)",
+  border: "1px solid rgba(255, 77, 77, 0.75)"
+},
+
+selectLabel: {
+  flex: 1,
+  fontSize: 12,
+  fontWeight: 900,
+  color: stylesTokens.textMuted
+},
+
 seatSetsRowCompact: {
   marginTop: 6,
   display: "flex",
@@ -2286,6 +4057,124 @@ chatHeader: {
   boxSizing: "border-box",
 },
 
+chatTabs: {
+  display: "flex",
+  gap: 6,
+},
+
+chatTab: {
+  height: 30,
+  padding: "0 10px",
+  borderRadius: 999,
+  border: "1px solid rgba(255,255,255,0.14)",
+  background: "transparent",
+  color: "rgba(255,255,255,0.75)",
+  fontWeight: 900,
+  cursor: "pointer",
+  touchAction: "manipulation",
+},
+
+chatTabActive: {
+  background: "rgba(255,255,255,0.16)",
+  color: "#fff",
+},
+
+chatMsgHead: {
+  display: "flex",
+  alignItems: "center",
+  gap: 6,
+  fontSize: 11,
+  opacity: 0.8,
+  fontWeight: 900,
+},
+
+chatReactions: {
+  display: "flex",
+  flexWrap: "wrap",
+  gap: 4,
+  margin: "4px 0 8px",
+},
+
+chatReactionChip: {
+  height: 24,
+  padding: "0 7px",
+  borderRadius: 999,
+  border: "1px solid rgba(255,255,255,0.14)",
+  background: "rgba(0,0,0,0.22)",
+  color: "#fff",
+  fontSize: 12,
+  fontWeight: 900,
+  cursor: "pointer",
+  touchAction: "manipulation",
+},
+
+chatReactionChipMine: {
+  background: "rgba(255, 209, 102, 0.28)",
+  border: "1px solid rgba(255, 209, 102, 0.6)",
+},
+
+chatMutedNote: {
+  fontSize: 11,
+  opacity: 0.8,
+  marginBottom: 8,
+},
+
+chatMutedName: {
+  marginLeft: 4,
+  padding: "1px 6px",
+  borderRadius: 999,
+  border: "1px solid rgba(255,255,255,0.14)",
+  background: "transparent",
+  color: "#fff",
+  fontSize: 11,
+  cursor: "pointer",
+},
+
+chatQuickRow: {
+  display: "flex",
+  gap: 6,
+  padding: "8px 10px 0",
+  overflowX: "auto",
+  WebkitOverflowScrolling: "touch",
+  borderTop: "1px solid rgba(255,255,255,0.10)",
+  boxSizing: "border-box",
+},
+
+chatQuickBtn: {
+  flex: "0 0 auto",
+  height: 30,
+  padding: "0 10px",
+  borderRadius: 999,
+  border: "1px solid rgba(255,255,255,0.14)",
+  background: "rgba(0,0,0,0.22)",
+  color: "#fff",
+  fontWeight: 900,
+  fontSize: 12,
+  whiteSpace: "nowrap",
+  cursor: "pointer",
+  touchAction: "manipulation",
+},
+
+muteBtn: {
+  marginLeft: 4,
+  padding: 0,
+  border: "none",
+  background: "transparent",
+  fontSize: 11,
+  cursor: "pointer",
+  opacity: 0.7,
+},
+
+seatPop: {
+  position: "absolute",
+  top: 4,
+  right: 8,
+  fontSize: 26,
+  lineHeight: 1,
+  pointerEvents: "none",
+  zIndex: 2,
+},
+
 chatBody: {
   flex: 1,
   overflowY: "auto",
@@ -2349,6 +4238,26 @@ oneLeftBanner: {
   pointerEvents: "none"
 },
 
+presenceDot: {
+  display: "inline-block",
+  width: 8,
+  height: 8,
+  borderRadius: 999,
+  marginRight: 6,
+  verticalAlign: "middle",
+  boxShadow: "0 0 0 1px rgba(0,0,0,0.35)"
+},
+
+spectatorRow: {
+  fontSize: 12,
+  fontWeight: 900,
+  opacity: 0.9,
+  padding: "2px 0",
+  whiteSpace: "nowrap",
+  overflow: "hidden",
+  textOverflow: "ellipsis"
+},
+
 runBtnDisabled: {
   background: "rgba(255,255,255,0.08)",
   border: "1px solid rgba(255,255,255,0.18)",